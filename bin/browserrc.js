@@ -0,0 +1,4 @@
+#!/usr/bin/env bun
+import { run } from '../core/cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,132 @@
+// Scheduled background tasks: alarms declared in the rc file, validated and turned into the
+// `chrome.alarms` calls of the background script
+//
+// Service workers and event pages are stopped when idle, so timers do not survive. Alarms do, they
+// are (re)created when the extension is installed, updated or the browser starts.
+
+import { onReset } from './lifecycle.js';
+import { uniqueIdentifier } from './identifiers.js';
+
+/**
+ * @typedef {Object} AlarmTiming
+ * @property {number} [periodInMinutes] - Repeat every this many minutes
+ * @property {number} [delayInMinutes] - Minutes until the first run, defaults to the period
+ * @property {number | Date} [when] - Run once at this time, or first at this time when periodic
+ */
+
+const TIMING_KEYS = ['periodInMinutes', 'delayInMinutes', 'when'];
+
+// names of the declared alarms, alarm names are unique
+const ALARM_NAMES = new Set();
+
+onReset.register(() => {
+    ALARM_NAMES.clear();
+});
+
+/**
+ * Validate an alarm declaration, throwing an error that names the offending field
+ * @param {string} name
+ * @param {AlarmTiming} timing
+ * @param {Function} fn
+ */
+function validateAlarm(name, timing, fn) {
+    const fail = (message) => {
+        throw new Error(`Invalid schedule${typeof name === 'string' && name ? ` '${name}'` : ''}: ${message}`);
+    };
+    if (typeof name !== 'string' || name === '') {
+        fail('name must be a non-empty string');
+    }
+    if (ALARM_NAMES.has(name)) {
+        fail('name is already used');
+    }
+    if (!timing || typeof timing !== 'object') {
+        fail('timing must be an object with periodInMinutes or when');
+    }
+    for (const key of Object.keys(timing)) {
+        if (!TIMING_KEYS.includes(key)) {
+            fail(`unknown timing.${key}, expected one of ${TIMING_KEYS.join(', ')}`);
+        }
+    }
+    for (const key of ['periodInMinutes', 'delayInMinutes']) {
+        if (timing[key] !== undefined && !(typeof timing[key] === 'number' && timing[key] > 0 && Number.isFinite(timing[key]))) {
+            fail(`timing.${key} must be a positive number of minutes, got ${timing[key]}`);
+        }
+    }
+    if (timing.when !== undefined) {
+        const when = timing.when instanceof Date ? timing.when.getTime() : timing.when;
+        if (typeof when !== 'number' || !Number.isFinite(when)) {
+            fail(`timing.when must be a Date or a timestamp in milliseconds, got ${timing.when}`);
+        }
+        if (timing.delayInMinutes !== undefined) {
+            fail('timing.when and timing.delayInMinutes cannot be combined');
+        }
+    }
+    if (timing.periodInMinutes === undefined && timing.when === undefined) {
+        fail('timing needs periodInMinutes or when');
+    }
+    if (typeof fn !== 'function') {
+        fail('the handler must be a function');
+    }
+}
+
+/**
+ * Validate and record an alarm
+ * @param {string} name - The alarm name, also passed to the handler as `alarm.name`
+ * @param {AlarmTiming} timing
+ * @param {(alarm: object) => void} fn
+ * @returns {Record<string, number>} The `chrome.alarms.create` alarm info, with `when` as a timestamp
+ * @throws {Error} If the declaration is invalid or the name is taken
+ */
+export function declareAlarm(name, timing, fn) {
+    validateAlarm(name, timing, fn);
+    ALARM_NAMES.add(name);
+    const { when, ...minutes } = timing;
+    return {
+        ...minutes,
+        ...(when !== undefined && { when: when instanceof Date ? when.getTime() : when }),
+    };
+}
+
+/**
+ * Name of the background function handling an alarm
+ * @param {string} name
+ * @returns {string}
+ */
+export function handlerName(name) {
+    return uniqueIdentifier('handleAlarm', name);
+}
+
+/**
+ * The background code creating an alarm on install and startup and dispatching it to its handler
+ *
+ * The alarm is only created when it does not exist yet (or its period changed in an update), creating
+ * it again on every startup would push back its next run. One-off alarms in the past are not created.
+ *
+ * @param {string} name
+ * @param {Record<string, number>} alarmInfo - From declareAlarm()
+ * @returns {string}
+ */
+export function alarmCode(name, alarmInfo) {
+    const alarmName = JSON.stringify(name);
+    const period = alarmInfo.periodInMinutes;
+    const outdated = period === undefined
+        ? `!alarm && ${alarmInfo.when} > Date.now()`
+        : `!alarm || alarm.periodInMinutes !== ${period}`;
+    const scheduler = `schedule${handlerName(name).slice('handle'.length)}`;
+    return `const ${scheduler} = () => chrome.alarms.get(${alarmName}, (alarm) => {
+    if (${outdated}) chrome.alarms.create(${alarmName}, ${JSON.stringify(alarmInfo)});
+});
+chrome.runtime.onInstalled.addListener(${scheduler});
+chrome.runtime.onStartup.addListener(${scheduler});
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ${alarmName}) ${handlerName(name)}(alarm);
+});`;
+}
+
+/**
+ * The manifest permissions the declared alarms need
+ * @returns {string[]}
+ */
+export function alarmPermissions() {
+    return ALARM_NAMES.size > 0 ? ['alarms'] : [];
+}
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for buildtime/alarms.js
+ *
+ * Run with: node --test core/buildtime/alarms.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { alarmCode, alarmPermissions, declareAlarm, handlerName } from './alarms.js';
+import { onReset } from './lifecycle.js';
+
+const handler = () => {};
+
+afterEach(() => {
+  onReset.trigger();
+});
+
+describe('declareAlarm', () => {
+  test('returns the alarm info with when as a timestamp', () => {
+    assert.deepStrictEqual(declareAlarm('sync', { periodInMinutes: 30, delayInMinutes: 1 }, handler), { periodInMinutes: 30, delayInMinutes: 1 });
+    assert.deepStrictEqual(declareAlarm('launch', { when: new Date('2026-12-01T09:00:00Z') }, handler), { when: 1796115600000 });
+  });
+
+  test('rejects invalid declarations', () => {
+    assert.throws(() => declareAlarm('', { periodInMinutes: 1 }, handler), /name must be a non-empty string/);
+    assert.throws(() => declareAlarm('a', { delayInMinutes: 1 }, handler), /Invalid schedule 'a': timing needs periodInMinutes or when/);
+    assert.throws(() => declareAlarm('a', { periodInMinutes: 0 }, handler), /periodInMinutes must be a positive number/);
+    assert.throws(() => declareAlarm('a', { every: 5 }, handler), /unknown timing.every/);
+    assert.throws(() => declareAlarm('a', { when: 'tomorrow' }, handler), /when must be a Date or a timestamp/);
+    assert.throws(() => declareAlarm('a', { when: Date.now(), delayInMinutes: 1 }, handler), /cannot be combined/);
+    assert.throws(() => declareAlarm('a', { periodInMinutes: 1 }, 'handler'), /handler must be a function/);
+  });
+
+  test('rejects taken names', () => {
+    declareAlarm('sync', { periodInMinutes: 30 }, handler);
+    assert.throws(() => declareAlarm('sync', { periodInMinutes: 5 }, handler), /Invalid schedule 'sync': name is already used/);
+  });
+});
+
+describe('alarmCode', () => {
+  test('creates periodic alarms unless they exist with the same period', () => {
+    const code = alarmCode('daily-sync', { periodInMinutes: 1440 });
+    assert.match(code, /^const scheduleAlarm_daily_sync = \(\) => chrome\.alarms\.get\("daily-sync", \(alarm\) => \{/);
+    assert.match(code, /if \(!alarm \|\| alarm\.periodInMinutes !== 1440\) chrome\.alarms\.create\("daily-sync", \{"periodInMinutes":1440\}\);/);
+    assert.match(code, /chrome\.runtime\.onInstalled\.addListener\(scheduleAlarm_daily_sync\);/);
+    assert.match(code, /chrome\.runtime\.onStartup\.addListener\(scheduleAlarm_daily_sync\);/);
+  });
+
+  test('creates one-off alarms only while they are in the future', () => {
+    assert.match(alarmCode('launch', { when: 1796115600000 }), /if \(!alarm && 1796115600000 > Date\.now\(\)\) chrome\.alarms\.create/);
+  });
+
+  test('dispatches by alarm name', () => {
+    assert.strictEqual(handlerName('daily-sync'), 'handleAlarm_daily_sync');
+    assert.match(alarmCode('daily-sync', { periodInMinutes: 1 }), /if \(alarm\.name === "daily-sync"\) handleAlarm_daily_sync\(alarm\);/);
+  });
+});
+
+describe('alarmPermissions', () => {
+  test('needs alarms once an alarm is declared', () => {
+    assert.deepStrictEqual(alarmPermissions(), []);
+    declareAlarm('sync', { periodInMinutes: 30 }, handler);
+    assert.deepStrictEqual(alarmPermissions(), ['alarms']);
+  });
+});
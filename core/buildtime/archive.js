@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { writeOutputFile } from './output.js';
+import { getPlatform } from './platforms.js';
+
+// Every entry gets the same timestamp (1980-01-01 00:00:00, the earliest DOS date) so that
+// archives of identical builds are byte-for-byte identical
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum used by the zip format
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+export function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Create a zip archive in memory.
+ *
+ * Entries are sorted by path and share a fixed timestamp, so the result only depends on the
+ * file names and contents.
+ *
+ * @param {Array<{ path: string, content: string | Uint8Array }>} entries - Files to add, paths use forward slashes
+ * @returns {Buffer} The zip archive
+ */
+export function createZip(entries) {
+    const sorted = [...entries].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of sorted) {
+        const name = Buffer.from(entry.path);
+        const data = Buffer.from(entry.content);
+        const deflated = zlib.deflateRawSync(data, { level: 9 });
+        // store files that do not compress (images, fonts, ...)
+        const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+        const compressed = method === METHOD_DEFLATE ? deflated : data;
+        const crc = crc32(data);
+
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(0x04034b50, 0);
+        localHeader.writeUInt16LE(20, 4);
+        localHeader.writeUInt16LE(UTF8_FLAG, 6);
+        localHeader.writeUInt16LE(method, 8);
+        localHeader.writeUInt16LE(DOS_TIME, 10);
+        localHeader.writeUInt16LE(DOS_DATE, 12);
+        localHeader.writeUInt32LE(crc, 14);
+        localHeader.writeUInt32LE(compressed.length, 18);
+        localHeader.writeUInt32LE(data.length, 22);
+        localHeader.writeUInt16LE(name.length, 26);
+        localHeader.writeUInt16LE(0, 28);
+
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(0x02014b50, 0);
+        centralHeader.writeUInt16LE(20, 4);
+        centralHeader.writeUInt16LE(20, 6);
+        centralHeader.writeUInt16LE(UTF8_FLAG, 8);
+        centralHeader.writeUInt16LE(method, 10);
+        centralHeader.writeUInt16LE(DOS_TIME, 12);
+        centralHeader.writeUInt16LE(DOS_DATE, 14);
+        centralHeader.writeUInt32LE(crc, 16);
+        centralHeader.writeUInt32LE(compressed.length, 20);
+        centralHeader.writeUInt32LE(data.length, 24);
+        centralHeader.writeUInt16LE(name.length, 28);
+        // extra field length, comment length, disk number, internal and external attributes are all 0
+        centralHeader.writeUInt32LE(offset, 42);
+
+        localParts.push(localHeader, name, compressed);
+        centralParts.push(centralHeader, name);
+        offset += localHeader.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(sorted.length, 8);
+    end.writeUInt16LE(sorted.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Turn a manifest name into something safe to use in a file name
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-|-$/g, '') || 'extension';
+}
+
+/**
+ * Work out the archive file name for a platform
+ * @param {string} platform - The platform name
+ * @param {string} platformOutputDir - Directory holding the platform's manifest.json
+ * @param {{ nameFromManifest?: boolean }} options
+ * @returns {string}
+ */
+export function archiveFileName(platform, platformOutputDir, { nameFromManifest = false } = {}) {
+    const extension = getPlatform(platform).archiveExtension;
+    if (!nameFromManifest) {
+        return platform + extension;
+    }
+    const { name, version } = JSON.parse(fs.readFileSync(path.join(platformOutputDir, 'manifest.json'), 'utf8'));
+    return `${slugify(name)}-${version}-${platform}${extension}`;
+}
+
+/**
+ * Package the files a build emitted into one archive per platform, next to the platform directories
+ * @param {import('./index.js').BuildReport} report - The report of the build to package
+ * @param {{ nameFromManifest?: boolean }} [options={}]
+ * @returns {Record<string, string>} Absolute archive path per platform
+ */
+export function packageBuild(report, options = {}) {
+    const archives = {};
+    for (const [platform, { outputDir, files }] of Object.entries(report.platforms)) {
+        const archive = createZip(files.map(file => ({
+            path: file.path,
+            content: fs.readFileSync(path.join(outputDir, file.path)),
+        })));
+        const archivePath = path.resolve(report.outputDir, archiveFileName(platform, outputDir, options));
+        writeOutputFile(archivePath, archive);
+        archives[platform] = archivePath;
+    }
+    return archives;
+}
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for buildtime/archive.js
+ *
+ * Run with: node --test core/buildtime/archive.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import { createZip, crc32 } from './archive.js';
+
+/**
+ * Read the entries of a zip created by createZip() back
+ */
+function readZip(buffer) {
+  const endOffset = buffer.length - 22;
+  assert.strictEqual(buffer.readUInt32LE(endOffset), 0x06054b50);
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(buffer.readUInt32LE(offset), 0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    entries.push({
+      name,
+      time: buffer.readUInt16LE(offset + 12),
+      date: buffer.readUInt16LE(offset + 14),
+      content: method === 8 ? zlib.inflateRawSync(data) : data,
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  test('matches the reference check value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('createZip', () => {
+  test('round trips text and binary content', () => {
+    const binary = Uint8Array.from([0, 255, 137, 80, 78, 71]);
+    const entries = readZip(createZip([
+      { path: 'manifest.json', content: '{"name":"test"}' },
+      { path: 'icons/icon.png', content: binary },
+    ]));
+
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['icons/icon.png', 'manifest.json']);
+    assert.deepStrictEqual(Uint8Array.from(entries[0].content), binary);
+    assert.strictEqual(entries[1].content.toString(), '{"name":"test"}');
+  });
+
+  test('is deterministic regardless of entry order', () => {
+    const a = createZip([
+      { path: 'b.js', content: 'console.log("b");'.repeat(10) },
+      { path: 'a.js', content: 'console.log("a");' },
+    ]);
+    const b = createZip([
+      { path: 'a.js', content: 'console.log("a");' },
+      { path: 'b.js', content: 'console.log("b");'.repeat(10) },
+    ]);
+
+    assert.ok(a.equals(b));
+  });
+
+  test('uses a fixed timestamp for every entry', () => {
+    const entries = readZip(createZip([{ path: 'a.js', content: '' }, { path: 'b.js', content: 'x' }]));
+
+    for (const entry of entries) {
+      assert.strictEqual(entry.time, 0);
+      assert.strictEqual(entry.date, 33);
+    }
+  });
+
+  test('creates a valid empty archive', () => {
+    const zip = createZip([]);
+
+    assert.strictEqual(zip.length, 22);
+    assert.deepStrictEqual(readZip(zip), []);
+  });
+});
@@ -0,0 +1,251 @@
+// Static assets (images, fonts, stylesheets, ...) copied into each platform directory
+//
+// Files are resolved when assets() is called, so the rc file can pass the output paths on to
+// generated code (e.g. with includeConstant) and resolve them at runtime with chrome.runtime.getURL.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { onBuild, onReset } from './lifecycle.js';
+import { writeOutputFile } from './output.js';
+import { targetPlatforms } from './platforms.js';
+import { captureCallSite } from './manifestValidation.js';
+
+/**
+ * @typedef {Object} WebAccessibleOptions
+ * @property {string[]} [matches] - Match patterns of the pages that may load the assets
+ * @property {string[]} [extensionIds] - Extensions that may load the assets
+ * @property {boolean} [useDynamicUrl=false] - Only allow access through a URL that changes every session (Chrome)
+ */
+
+/**
+ * @typedef {Object} AssetOptions
+ * @property {string} [dir='assets'] - Directory in the platform output the files are copied to
+ * @property {boolean} [hash=false] - Add a hash of the content to the file names, e.g. `logo.3f2a1b9c.png`
+ * @property {boolean | string[] | WebAccessibleOptions} [webAccessible=false] - Declare the files in
+ *   `web_accessible_resources`: true for every page, a list of match patterns, or the full options
+ * @property {string} [cwd=process.cwd()] - Directory the patterns are resolved against
+ */
+
+/**
+ * @typedef {Object} AssetGroup
+ * @property {Record<string, string>} files - Output paths (relative to the platform directory) by source path
+ *   (relative to the static part of the pattern, e.g. `logo.png` for `static/*.png`)
+ * @property {(name: string) => string} path - Look up the output path of a source file
+ */
+
+const GLOB_CHARACTERS = /[*?{]/;
+
+/** @type {Array<{ outputs: Map<string, string>, webAccessible: WebAccessibleOptions | null, source?: string }>} */
+let ASSET_GROUPS = [];
+let BUILD_LISTENER_REGISTERED = false;
+
+onReset.register(() => {
+    ASSET_GROUPS = [];
+    BUILD_LISTENER_REGISTERED = false;
+});
+
+/**
+ * Convert a glob pattern to a regular expression matching `/` separated paths
+ *
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternatives.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    let inAlternatives = false;
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '*' && pattern[index + 1] === '*') {
+            const followedBySeparator = pattern[index + 2] === '/';
+            source += followedBySeparator ? '(?:.*/)?' : '.*';
+            index += followedBySeparator ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            inAlternatives = true;
+            source += '(?:';
+        } else if (char === '}' && inAlternatives) {
+            inAlternatives = false;
+            source += ')';
+        } else if (char === ',' && inAlternatives) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * The leading directories of a pattern that contain no glob characters
+ * @param {string} pattern - e.g. `static/icons/*.png`
+ * @returns {string} e.g. `static/icons`, `.` if the pattern starts with a glob
+ */
+export function globBase(pattern) {
+    const segments = pattern.split('/');
+    const staticSegments = [];
+    for (const segment of segments.slice(0, -1)) {
+        if (GLOB_CHARACTERS.test(segment)) {
+            break;
+        }
+        staticSegments.push(segment);
+    }
+    return staticSegments.join('/') || '.';
+}
+
+/**
+ * Find the files matching a pattern, a path to a directory matches every file in it
+ * @param {string} pattern - A file, directory or glob pattern, relative to cwd
+ * @param {string} cwd
+ * @returns {{ base: string, files: string[] }} The static part of the pattern and the matching files relative to it,
+ *   with `/` separators and sorted
+ */
+export function expandPattern(pattern, cwd) {
+    const normalized = pattern.split(path.sep).join('/').replace(/^\.\//, '');
+    const listFiles = (directory) => fs.readdirSync(path.resolve(cwd, directory), { recursive: true })
+        .map(file => String(file).split(path.sep).join('/'))
+        .filter(file => fs.statSync(path.resolve(cwd, directory, file)).isFile());
+
+    if (!GLOB_CHARACTERS.test(normalized)) {
+        const resolved = path.resolve(cwd, normalized);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Asset '${pattern}' does not exist`);
+        }
+        if (fs.statSync(resolved).isDirectory()) {
+            return { base: normalized, files: listFiles(normalized).sort() };
+        }
+        return { base: path.posix.dirname(normalized), files: [path.posix.basename(normalized)] };
+    }
+
+    const base = globBase(normalized);
+    if (!fs.existsSync(path.resolve(cwd, base))) {
+        return { base, files: [] };
+    }
+    const matcher = globToRegExp(normalized);
+    const files = listFiles(base)
+        .filter(file => matcher.test(base === '.' ? file : `${base}/${file}`))
+        .sort();
+    return { base, files };
+}
+
+/**
+ * Add a hash of the content to a file name
+ * @param {string} file - e.g. `icons/logo.png`
+ * @param {Uint8Array} content
+ * @returns {string} e.g. `icons/logo.3f2a1b9c.png`
+ */
+export function hashedName(file, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+    const extension = path.posix.extname(file);
+    return `${file.slice(0, file.length - extension.length)}.${hash}${extension}`;
+}
+
+/**
+ * @param {AssetOptions['webAccessible']} webAccessible
+ * @returns {WebAccessibleOptions | null}
+ */
+function normalizeWebAccessible(webAccessible) {
+    if (!webAccessible) {
+        return null;
+    }
+    if (webAccessible === true) {
+        return { matches: ['<all_urls>'] };
+    }
+    if (Array.isArray(webAccessible)) {
+        return { matches: webAccessible };
+    }
+    if (!webAccessible.matches?.length && !webAccessible.extensionIds?.length) {
+        throw new Error('webAccessible needs matches or extensionIds');
+    }
+    return webAccessible;
+}
+
+function registerBuildListener() {
+    if (BUILD_LISTENER_REGISTERED) {
+        return;
+    }
+    BUILD_LISTENER_REGISTERED = true;
+    onBuild.register(({ outputDir, platforms }) => {
+        for (const platform of targetPlatforms(platforms)) {
+            for (const { outputs } of ASSET_GROUPS) {
+                for (const [outputPath, sourcePath] of outputs) {
+                    writeOutputFile(path.join(outputDir, platform, outputPath), fs.readFileSync(sourcePath));
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Copy static files into each platform directory
+ * @param {string | string[]} patterns - Files, directories or glob patterns (`icons/*.png`, `fonts/**`)
+ * @param {AssetOptions} [options={}]
+ * @returns {AssetGroup}
+ * @throws {Error} If a pattern matches no files
+ */
+export function assets(patterns, options = {}) {
+    const { dir = 'assets', hash = false, cwd = process.cwd() } = options;
+    const webAccessible = normalizeWebAccessible(options.webAccessible);
+
+    /** @type {Record<string, string>} */
+    const files = {};
+    /** @type {Map<string, string>} */
+    const outputs = new Map();
+    for (const pattern of [patterns].flat()) {
+        const { base, files: matches } = expandPattern(pattern, cwd);
+        if (matches.length === 0) {
+            throw new Error(`No assets match '${pattern}'`);
+        }
+        for (const file of matches) {
+            const sourcePath = path.resolve(cwd, base, file);
+            const name = hash ? hashedName(file, fs.readFileSync(sourcePath)) : file;
+            const outputPath = path.posix.join(dir, name);
+            files[file] = outputPath;
+            outputs.set(outputPath, sourcePath);
+        }
+    }
+
+    ASSET_GROUPS.push({ outputs, webAccessible, source: captureCallSite() });
+    registerBuildListener();
+
+    return {
+        files,
+        path(name) {
+            if (!(name in files)) {
+                throw new Error(`Unknown asset '${name}', the assets are ${Object.keys(files).join(', ')}`);
+            }
+            return files[name];
+        },
+    };
+}
+
+/**
+ * The `web_accessible_resources` entries of the assets declared as web accessible
+ * @returns {Array<{ entry: Record<string, any>, source?: string }>} Manifest V3 entries with the rc call site that declared them
+ */
+export function webAccessibleAssets() {
+    return ASSET_GROUPS
+        .filter(group => group.webAccessible)
+        .map(({ outputs, webAccessible, source }) => ({
+            entry: {
+                resources: Array.from(outputs.keys()),
+                ...(webAccessible.matches && { matches: webAccessible.matches }),
+                ...(webAccessible.extensionIds && { extension_ids: webAccessible.extensionIds }),
+                ...(webAccessible.useDynamicUrl && { use_dynamic_url: true }),
+            },
+            source,
+        }));
+}
+
+/**
+ * Absolute paths of the copied source files, watched for changes in development
+ * @returns {string[]}
+ */
+export function listAssetSources() {
+    return Array.from(new Set(ASSET_GROUPS.flatMap(group => Array.from(group.outputs.values()))));
+}
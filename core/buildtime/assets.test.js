@@ -0,0 +1,124 @@
+/**
+ * Unit tests for buildtime/assets.js
+ *
+ * Run with: node --test core/buildtime/assets.test.js
+ */
+
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { assets, expandPattern, globBase, globToRegExp, hashedName, webAccessibleAssets } from './assets.js';
+import { onBuild, onReset } from './lifecycle.js';
+
+describe('globToRegExp', () => {
+  test('matches stars within a directory', () => {
+    assert.ok(globToRegExp('icons/*.png').test('icons/logo.png'));
+    assert.ok(!globToRegExp('icons/*.png').test('icons/small/logo.png'));
+    assert.ok(!globToRegExp('icons/*.png').test('icons/logo.svg'));
+  });
+
+  test('matches any number of directories with **', () => {
+    const matcher = globToRegExp('fonts/**/*.woff2');
+    assert.ok(matcher.test('fonts/a.woff2'));
+    assert.ok(matcher.test('fonts/inter/bold/a.woff2'));
+    assert.ok(globToRegExp('static/**').test('static/a/b.txt'));
+  });
+
+  test('supports ? and alternatives', () => {
+    const matcher = globToRegExp('img/icon-??.{png,svg}');
+    assert.ok(matcher.test('img/icon-16.png'));
+    assert.ok(matcher.test('img/icon-48.svg'));
+    assert.ok(!matcher.test('img/icon-128.png'));
+    assert.ok(!matcher.test('img/icon-16.jpg'));
+  });
+});
+
+describe('globBase', () => {
+  test('returns the static directories', () => {
+    assert.strictEqual(globBase('static/icons/*.png'), 'static/icons');
+    assert.strictEqual(globBase('static/**/*.png'), 'static');
+    assert.strictEqual(globBase('*.png'), '.');
+  });
+});
+
+describe('hashedName', () => {
+  test('adds a content hash before the extension', () => {
+    assert.match(hashedName('icons/logo.png', Buffer.from('png')), /^icons\/logo\.[0-9a-f]{8}\.png$/);
+    assert.notStrictEqual(hashedName('a.png', Buffer.from('1')), hashedName('a.png', Buffer.from('2')));
+    assert.strictEqual(hashedName('a.png', Buffer.from('1')), hashedName('a.png', Buffer.from('1')));
+  });
+});
+
+describe('assets', () => {
+  let cwd;
+
+  before(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-assets-'));
+    fs.mkdirSync(path.join(cwd, 'static', 'fonts'), { recursive: true });
+    fs.writeFileSync(path.join(cwd, 'static', 'logo.png'), 'png');
+    fs.writeFileSync(path.join(cwd, 'static', 'style.css'), 'body {}');
+    fs.writeFileSync(path.join(cwd, 'static', 'fonts', 'inter.woff2'), 'font');
+  });
+
+  after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+  afterEach(() => {
+    onReset.trigger();
+    onBuild.clear();
+  });
+
+  test('expands files, directories and globs', () => {
+    assert.deepStrictEqual(expandPattern('static/*.png', cwd), { base: 'static', files: ['logo.png'] });
+    assert.deepStrictEqual(expandPattern('static/**/*.{css,woff2}', cwd), { base: 'static', files: ['fonts/inter.woff2', 'style.css'] });
+    assert.deepStrictEqual(expandPattern('static', cwd), { base: 'static', files: ['fonts/inter.woff2', 'logo.png', 'style.css'] });
+    assert.deepStrictEqual(expandPattern('./static/logo.png', cwd), { base: 'static', files: ['logo.png'] });
+    assert.throws(() => expandPattern('static/missing.png', cwd), /Asset 'static\/missing.png' does not exist/);
+  });
+
+  test('maps source files to output paths', () => {
+    const group = assets(['static/*.png', 'static/fonts'], { cwd, dir: 'media' });
+
+    assert.deepStrictEqual(group.files, { 'logo.png': 'media/logo.png', 'inter.woff2': 'media/inter.woff2' });
+    assert.strictEqual(group.path('logo.png'), 'media/logo.png');
+    assert.throws(() => group.path('other.png'), /Unknown asset 'other.png'/);
+  });
+
+  test('hashes file names', () => {
+    const group = assets('static/logo.png', { cwd, hash: true });
+
+    assert.match(group.path('logo.png'), /^assets\/logo\.[0-9a-f]{8}\.png$/);
+  });
+
+  test('throws for patterns without matches', () => {
+    assert.throws(() => assets('static/*.gif', { cwd }), /No assets match 'static\/\*.gif'/);
+  });
+
+  test('copies the files into each platform', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-assets-out-'));
+    try {
+      assets('static/**', { cwd });
+      await onBuild.triggerAsync({ outputDir, platforms: { chrome: true, firefox: true } });
+
+      for (const platform of ['chrome', 'firefox']) {
+        assert.strictEqual(fs.readFileSync(path.join(outputDir, platform, 'assets', 'fonts', 'inter.woff2'), 'utf8'), 'font');
+        assert.strictEqual(fs.readFileSync(path.join(outputDir, platform, 'assets', 'style.css'), 'utf8'), 'body {}');
+      }
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  test('declares web accessible resources', () => {
+    assets('static/logo.png', { cwd });
+    assets('static/*.css', { cwd, webAccessible: ['https://*.example.com/*'] });
+    assets('static/fonts', { cwd, webAccessible: true });
+
+    assert.deepStrictEqual(webAccessibleAssets().map(({ entry }) => entry), [
+      { resources: ['assets/style.css'], matches: ['https://*.example.com/*'] },
+      { resources: ['assets/inter.woff2'], matches: ['<all_urls>'] },
+    ]);
+    assert.throws(() => assets('static/logo.png', { cwd, webAccessible: { useDynamicUrl: true } }), /needs matches or extensionIds/);
+  });
+});
@@ -1,31 +1,32 @@
 import { CodeFile } from "./code.js";
 import { onBuild } from "./index.js";
-import path from "path";
-import fs from "fs";
+import { onReset } from "./lifecycle.js";
+import { withLiveReloadClient } from "./liveReload.js";
+import { targetPlatforms } from "./platforms.js";
+import { writeCodeFile } from "./bundle.js";
 
 // Global background service worker state
 export let BACKGROUND_CODE_FILE: CodeFile | null = null;
 
+onReset.register(() => {
+    BACKGROUND_CODE_FILE = null;
+});
+
 /**
- * Get or create the global background service worker CodeFile
+ * Get or create the global background service worker CodeFile, creating it registers its writer
  */
-function getBackgroundCodeFile(): CodeFile {
+export function getBackgroundCodeFile(): CodeFile {
     if (!BACKGROUND_CODE_FILE) {
         BACKGROUND_CODE_FILE = new CodeFile({ relPath: 'background.js' });
 
         // Register the onBuild hook to write the background script
         onBuild.register(async (buildContext) => {
-            const { outputDir, platforms } = buildContext;
+            const { platforms, liveReload } = buildContext;
+            const codeFile = liveReload
+                ? withLiveReloadClient(BACKGROUND_CODE_FILE!, 'background', liveReload)
+                : BACKGROUND_CODE_FILE!;
 
-            // Write to each platform directory
-            for (const platform of ['chrome', 'firefox']) {
-                if (platforms?.[platform]) {
-                    const platformOutputDir = path.join(outputDir, platform);
-                    // Ensure the platform directory exists
-                    fs.mkdirSync(platformOutputDir, { recursive: true });
-                    BACKGROUND_CODE_FILE!.write(platformOutputDir);
-                }
-            }
+            await writeCodeFile(codeFile, buildContext, targetPlatforms(platforms));
         });
     }
     return BACKGROUND_CODE_FILE;
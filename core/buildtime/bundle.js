@@ -0,0 +1,107 @@
+// Turns the CodeFiles assembled by the rc file into the scripts written to each platform directory
+
+import path from 'path';
+import { writeOutputFile } from './output.js';
+import { recordApiUsage } from './permissionInference.js';
+import { recordMessageUsage } from './i18n.js';
+import { settingsDefines } from './settingsSchema.js';
+
+export const BUILD_MODES = ['development', 'production'];
+
+/**
+ * Validate the `mode` build option
+ * @param {string | undefined} mode
+ * @returns {'development' | 'production'} The mode, production when omitted
+ * @throws {Error} If the mode is unknown
+ */
+export function resolveMode(mode) {
+    if (mode === undefined) {
+        return 'production';
+    }
+    if (!BUILD_MODES.includes(mode)) {
+        throw new Error(`Unknown build mode '${mode}', expected ${BUILD_MODES.map(name => `'${name}'`).join(' or ')}`);
+    }
+    return mode;
+}
+
+const DEFINE_NAME = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Turn the `defines` build option into Bun `define` replacements for one platform.
+ *
+ * Values are inlined as JSON literals. `PLATFORM` (the platform being built) and
+ * `process.env.NODE_ENV` (the build mode) are always defined and cannot be overridden, nor can
+ * the defaults of `settings.define()` read by the runtime settings helpers.
+ *
+ * @param {Record<string, any> | undefined} defines - Identifiers (or dotted paths) mapped to their values
+ * @param {string} platform - The platform the code is bundled for
+ * @param {'development' | 'production'} mode - The build mode
+ * @returns {Record<string, string>}
+ * @throws {Error} If a name is not an identifier or a value cannot be inlined
+ */
+export function resolveDefines(defines = {}, platform, mode) {
+    const define = {};
+    for (const [name, value] of Object.entries(defines)) {
+        if (!DEFINE_NAME.test(name)) {
+            throw new Error(`Invalid define '${name}', expected an identifier like __VERSION__ or process.env.API_URL`);
+        }
+        const literal = JSON.stringify(value);
+        if (literal === undefined) {
+            throw new Error(`Define '${name}' has a value that cannot be inlined (${typeof value})`);
+        }
+        define[name] = literal;
+    }
+    Object.assign(define, settingsDefines());
+    define.PLATFORM = JSON.stringify(platform);
+    define['process.env.NODE_ENV'] = JSON.stringify(mode);
+    return define;
+}
+
+/**
+ * Bun options for bundling code for one platform
+ * @param {{ mode: 'development' | 'production', defines?: Record<string, any> }} buildContext
+ * @param {string} platform - The platform the code is bundled for
+ * @returns {{ minify: boolean, sourcemap: 'linked' | 'none', define: Record<string, string> }}
+ */
+export function bundleOptions({ mode, defines }, platform) {
+    const isDebug = mode === 'development';
+    return {
+        minify: !isDebug,
+        // written next to the script and referenced from it, so devtools pick it up
+        sourcemap: isDebug ? 'linked' : 'none',
+        define: resolveDefines(defines, platform, mode),
+    };
+}
+
+/**
+ * Bundle a CodeFile for the build mode and write it (and its source map) to each platform directory.
+ *
+ * Debug segments are resolved first: files with a Handlebars context are rendered as templates with
+ * `isDebug` added to it, other files only have their `{{#if isDebug}}` blocks resolved. The file is
+ * then bundled once per platform, so code branching on `PLATFORM` only keeps its own branch.
+ *
+ * @param {import('./code.js').CodeFile} codeFile - The file to write, at its relPath
+ * @param {{ outputDir: string, mode: 'development' | 'production' }} buildContext
+ * @param {string[]} platforms - Names of the platforms to write the file for
+ * @returns {Promise<void>}
+ */
+export async function writeCodeFile(codeFile, buildContext, platforms) {
+    if (platforms.length === 0) {
+        return;
+    }
+    const isDebug = buildContext.mode === 'development';
+    const source = Object.keys(codeFile.context).length > 0
+        ? codeFile.renderTemplate({ isDebug })
+        : codeFile.stripDebugSegments(isDebug);
+
+    for (const platform of platforms) {
+        const bundled = await source.bundle(bundleOptions(buildContext, platform));
+        recordApiUsage(platform, codeFile.relPath, bundled.code);
+        recordMessageUsage(platform, codeFile.relPath, bundled.code);
+        const platformOutputDir = path.join(buildContext.outputDir, platform);
+        bundled.write(codeFile.relPath, platformOutputDir);
+        if (bundled.sourceMap) {
+            writeOutputFile(path.join(platformOutputDir, codeFile.relPath + '.map'), bundled.sourceMap);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for buildtime/bundle.js
+ *
+ * Run with: node --test core/buildtime/bundle.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { bundleOptions, resolveDefines, resolveMode } from './bundle.js';
+
+describe('resolveMode', () => {
+  test('defaults to production', () => {
+    assert.strictEqual(resolveMode(undefined), 'production');
+    assert.strictEqual(resolveMode('development'), 'development');
+  });
+
+  test('throws for unknown modes', () => {
+    assert.throws(() => resolveMode('staging'), /Unknown build mode 'staging'/);
+  });
+});
+
+describe('resolveDefines', () => {
+  test('inlines values as JSON literals', () => {
+    const define = resolveDefines({ __VERSION__: '1.2.0', __DEV__: false, 'process.env.LIMITS': { max: 3 } }, 'chrome', 'production');
+
+    assert.deepStrictEqual(define, {
+      __VERSION__: '"1.2.0"',
+      __DEV__: 'false',
+      'process.env.LIMITS': '{"max":3}',
+      PLATFORM: '"chrome"',
+      'process.env.NODE_ENV': '"production"',
+    });
+  });
+
+  test('PLATFORM and NODE_ENV cannot be overridden', () => {
+    const define = resolveDefines({ PLATFORM: 'safari', 'process.env.NODE_ENV': 'test' }, 'firefox', 'development');
+
+    assert.strictEqual(define.PLATFORM, '"firefox"');
+    assert.strictEqual(define['process.env.NODE_ENV'], '"development"');
+  });
+
+  test('throws for invalid names and values', () => {
+    assert.throws(() => resolveDefines({ 'not valid': 1 }, 'chrome', 'production'), /Invalid define 'not valid'/);
+    assert.throws(() => resolveDefines({ FN: () => {} }, 'chrome', 'production'), /Define 'FN' has a value that cannot be inlined/);
+  });
+});
+
+describe('bundleOptions', () => {
+  test('minifies production builds', () => {
+    const options = bundleOptions({ mode: 'production' }, 'chrome');
+
+    assert.strictEqual(options.minify, true);
+    assert.strictEqual(options.sourcemap, 'none');
+    assert.strictEqual(options.define.PLATFORM, '"chrome"');
+  });
+
+  test('adds source maps to development builds', () => {
+    const options = bundleOptions({ mode: 'development', defines: { __DEV__: true } }, 'firefox');
+
+    assert.strictEqual(options.minify, false);
+    assert.strictEqual(options.sourcemap, 'linked');
+    assert.strictEqual(options.define.__DEV__, 'true');
+  });
+});
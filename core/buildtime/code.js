@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import Handlebars from 'handlebars';
 import { Hook } from '../hooks.js';
+import { writeOutputFile } from './output.js';
 
 
 // Shared helper functions for includeConstant, includeIIFE, and includeFunction
@@ -72,6 +73,56 @@ function generateFunction(fn, name = undefined) {
     return fnCode;
 }
 
+const DEBUG_BLOCK_START = /\{\{#(if|unless)\s+isDebug\s*\}\}/;
+const BLOCK_TAG = /\{\{(#\w+|\/\w+|else)[^}]*\}\}/g;
+
+/**
+ * Resolve `{{#if isDebug}}` and `{{#unless isDebug}}` blocks (with optional `{{else}}`), leaving any
+ * other `{{...}}` untouched so code that is not a Handlebars template survives
+ * @param {string} code - The code to process
+ * @param {boolean} isDebug - Keep the debug segments
+ * @returns {string} The code without the segments that do not apply
+ */
+export function stripDebugSegments(code, isDebug) {
+    let result = '';
+    let rest = code;
+    let start;
+    while ((start = DEBUG_BLOCK_START.exec(rest))) {
+        result += rest.slice(0, start.index);
+        rest = rest.slice(start.index + start[0].length);
+
+        // find the {{else}} and closing tag of this block, skipping nested blocks
+        let depth = 0;
+        let elseTag = null;
+        let closeTag = null;
+        let tag;
+        BLOCK_TAG.lastIndex = 0;
+        while ((tag = BLOCK_TAG.exec(rest))) {
+            if (tag[1].startsWith('#')) {
+                depth++;
+            } else if (tag[1].startsWith('/')) {
+                if (depth === 0) {
+                    closeTag = tag;
+                    break;
+                }
+                depth--;
+            } else if (depth === 0 && !elseTag) {
+                elseTag = tag;
+            }
+        }
+        if (!closeTag) {
+            throw new Error(`Unclosed ${start[0]} block`);
+        }
+
+        const debugSegment = rest.slice(0, elseTag ? elseTag.index : closeTag.index);
+        const otherSegment = elseTag ? rest.slice(elseTag.index + elseTag[0].length, closeTag.index) : '';
+        const keepDebugSegment = (start[1] === 'if') === isDebug;
+        result += stripDebugSegments(keepDebugSegment ? debugSegment : otherSegment, isDebug);
+        rest = rest.slice(closeTag.index + closeTag[0].length);
+    }
+    return result + rest;
+}
+
 /**
  * Add separator if content already exists
  * @param {string} existingContent - The existing content
@@ -104,6 +155,8 @@ function getSeparator(existingContent) {
         this.code = props.code || '';
         /** @type {object} */
         this.context = { ...(props.context || {}) };
+        /** @type {string|null} - External source map, set on bundled files */
+        this.sourceMap = props.sourceMap || null;
         
         this.onPreBundleHook = new Hook('onPreBundle', 'Called immediately before bundling the code file');
     }
@@ -232,6 +285,11 @@ function getSeparator(existingContent) {
         return this;
     }
      
+    /**
+     * Register a listener called with the CodeFile being bundled (possibly a derived copy) and the Bun options
+     * @param {(codeFile: CodeFile, options: object) => void | Promise<void>} fn
+     * @returns {CodeFile}
+     */
     onPreBundle(fn) {
         this.onPreBundleHook.register(fn);
         return this;
@@ -259,6 +317,14 @@ function getSeparator(existingContent) {
         return false;
     }
      
+    /**
+     * Include a function if the code references it by name
+     *
+     * Only the code so far is searched, so include functions before the helpers they call: the helpers
+     * are then found in the included function bodies.
+     * @param {Function} symbol
+     * @returns {CodeFile}
+     */
     includeFunctionIfReferenced(symbol) {
         if (this.references(symbol)) {
             this.includeFunction(symbol);
@@ -296,53 +362,83 @@ function getSeparator(existingContent) {
         const renderedCode = template(finalContext);
 
         // Create a new CodeFile with rendered content
-        return new CodeFile({
+        return this.derive(renderedCode);
+    }
+
+    /**
+     * Remove `{{#if isDebug}}` segments, or keep them and drop their `{{else}}` part
+     * @param {boolean} isDebug - Whether this is a debug (development) build
+     * @returns {CodeFile}
+     */
+    stripDebugSegments(isDebug) {
+        return this.derive(stripDebugSegments(this.code, isDebug));
+    }
+
+    /**
+     * Create a copy with different code, sharing the onPreBundle listeners so that they still run
+     * when the copy is bundled (and change the copy, not this file)
+     * @param {string} code - The code of the copy
+     * @returns {CodeFile}
+     */
+    derive(code) {
+        const copy = new CodeFile({
             relPath: this.relPath,
-            code: renderedCode,
+            code,
             constants: this.constants,
             context: this.context
         });
+        copy.onPreBundleHook = this.onPreBundleHook;
+        return copy;
     }
 
     /**
-     * Bundle the current content using Bun
-     * @param {object} [options={}] - Bun build options
-     * @returns {Promise<CodeFile>}
+     * Bundle the final code (constants included) into a single script using Bun
+     *
+     * The code is passed to Bun as an in-memory file (`files`, Bun 1.3.6+) at `relPath` below the working directory,
+     * so relative imports resolve from there.
+     *
+     * @param {object} [options={}] - Bun build options, e.g. `minify`, `sourcemap: 'linked'` or `define`
+     * @returns {Promise<CodeFile>} The bundled file, with `sourceMap` set if a source map was generated
      */
     async bundle(options = {}) {
-        this.onPreBundleHook.trigger(this, options);
-        // Use data URL to pass code directly to Bun without temporary files
-        const dataUrl = `data:text/javascript;base64,${Buffer.from(this.code).toString('base64')}`;
+        await this.onPreBundleHook.triggerAsync(this, options);
+        const entrypoint = path.resolve(this.relPath || 'bundle.js');
 
         const defaultOptions = {
-            entrypoints: [dataUrl],
-            write: false,
+            entrypoints: [entrypoint],
+            files: { [entrypoint]: this.getFinalCode() },
             target: 'browser',
+            // extension scripts are classic scripts, keep their declarations out of the global scope
+            format: 'iife',
             minify: false,
-            sourcemap: false,
+            sourcemap: 'none',
         };
 
         const finalOptions = { ...defaultOptions, ...options };
-        const result = await Bun.build(finalOptions);
+        let result;
+        try {
+            result = await Bun.build(finalOptions);
+        } catch (error) {
+            const messages = error?.errors?.map(log => log.message) ?? [error?.message ?? error];
+            throw new Error(`Bundling ${this.relPath || 'code'} failed: ${messages.join(', ')}`);
+        }
 
         if (!result.success) {
-            throw new Error(`Bundling failed: ${result.logs.map(log => log.message).join(', ')}`);
+            throw new Error(`Bundling ${this.relPath || 'code'} failed: ${result.logs.map(log => log.message).join(', ')}`);
         }
 
-        const output = result.outputs[0];
+        const output = result.outputs.find(output => output.kind === 'entry-point');
         if (!output) {
             throw new Error('No output generated from bundling');
         }
-
-        // Get the bundled code
-        const bundledCode = await output.text();
+        const sourceMap = result.outputs.find(output => output.kind === 'sourcemap');
 
         // Create a new CodeFile with the bundled content
         return new CodeFile({
             relPath: this.relPath,
-            code: bundledCode,
-            constants: this.constants,
-            context: this.context
+            code: await output.text(),
+            context: this.context,
+            sourceMap: sourceMap ? await sourceMap.text() : null,
         });
     }
 
@@ -383,10 +479,7 @@ function getSeparator(existingContent) {
         }
 
         const filePath = path.isAbsolute(relPath) ? relPath : path.join(actualOutputDir, relPath);
-        const dirPath = path.dirname(filePath);
-
-        fs.mkdirSync(dirPath, { recursive: true });
-        fs.writeFileSync(filePath, this.getFinalCode());
+        writeOutputFile(filePath, this.getFinalCode());
         return this;
     }
 }
@@ -401,13 +494,69 @@ export class JSONFile {
 
     write(outputDir = '.') {
         const filePath = path.isAbsolute(this.relPath) ? this.relPath : path.join(outputDir, this.relPath);
-        const dirPath = path.dirname(filePath);
-
-        fs.mkdirSync(dirPath, { recursive: true });
         // Create a copy of the instance without internal properties
         const dataToSerialize = { ...this };
         delete dataToSerialize.relPath;
         const content = JSON.stringify(dataToSerialize, null, 2);
-        fs.writeFileSync(filePath, content);
+        writeOutputFile(filePath, content);
+    }
+}
+
+/**
+ * A stylesheet assembled in the rc file, e.g. for content scripts
+ */
+export class CSSFile {
+    /**
+     * @param {{ relPath: string, css?: string }} props - relPath is the path of the stylesheet in each platform directory
+     */
+    constructor({ relPath, css = '' }) {
+        if (!relPath) {
+            throw new Error('CSSFile needs a relPath');
+        }
+        /** @type {string} */
+        this.relPath = relPath.endsWith('.css') ? relPath : relPath + '.css';
+        /** @type {string} */
+        this.css = '';
+        if (css) {
+            this.addBlock(css);
+        }
+    }
+
+    /**
+     * Add a block of CSS as it is
+     * @param {string} cssBlock
+     * @returns {CSSFile}
+     */
+    addBlock(cssBlock) {
+        if (typeof cssBlock !== 'string') {
+            throw new Error('CSS block must be a string');
+        }
+        const separator = this.css === '' ? '' : '\n';
+        this.css += separator + cssBlock.trim() + '\n';
+        return this;
+    }
+
+    /**
+     * Add a rule, camelCase properties are written in kebab case (`backgroundColor` → `background-color`)
+     * @param {string} selector - e.g. `.my-extension-banner`
+     * @param {Record<string, string | number>} declarations - e.g. `{ position: 'fixed', zIndex: 2147483647 }`
+     * @returns {CSSFile}
+     */
+    addRule(selector, declarations) {
+        const lines = Object.entries(declarations).map(([property, value]) => {
+            const name = property.startsWith('--') ? property : property.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+            return `    ${name}: ${value};`;
+        });
+        return this.addBlock(`${selector} {\n${lines.join('\n')}\n}`);
+    }
+
+    /**
+     * Write the stylesheet to disk
+     * @param {string} [outputDir='.'] - Directory relPath is resolved against
+     * @returns {CSSFile}
+     */
+    write(outputDir = '.') {
+        writeOutputFile(path.join(outputDir, this.relPath), this.css);
+        return this;
     }
 }
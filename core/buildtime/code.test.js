@@ -9,7 +9,7 @@ import assert from 'node:assert';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import { CodeFile } from './code.js';
+import { CodeFile, CSSFile, stripDebugSegments } from './code.js';
 
 describe('CodeFile', () => {
   describe('Constructor', () => {
@@ -132,6 +132,58 @@ describe('CodeFile', () => {
     });
   });
 
+  describe('stripDebugSegments', () => {
+    const code = 'start();\n{{#if isDebug}}\nlog();\n{{/if}}\nend();';
+
+    test('keeps debug segments in debug builds', () => {
+      assert.strictEqual(stripDebugSegments(code, true), 'start();\n\nlog();\n\nend();');
+    });
+
+    test('removes debug segments otherwise', () => {
+      assert.strictEqual(stripDebugSegments(code, false), 'start();\n\nend();');
+    });
+
+    test('supports else and unless', () => {
+      const source = '{{#if isDebug}}a{{else}}b{{/if}} {{#unless isDebug}}c{{else}}d{{/unless}}';
+      assert.strictEqual(stripDebugSegments(source, true), 'a d');
+      assert.strictEqual(stripDebugSegments(source, false), 'b c');
+    });
+
+    test('skips nested blocks and leaves other templates alone', () => {
+      const source = '{{#if isDebug}}{{#if verbose}}v{{else}}q{{/if}}{{/if}}{{name}} {{#if isDebug}}x{{/if}}';
+      assert.strictEqual(stripDebugSegments(source, true), '{{#if verbose}}v{{else}}q{{/if}}{{name}} x');
+      assert.strictEqual(stripDebugSegments(source, false), '{{name}} ');
+    });
+
+    test('leaves code without debug segments unchanged', () => {
+      const source = 'const template = `{{value}}`;';
+      assert.strictEqual(stripDebugSegments(source, false), source);
+    });
+
+    test('throws on unclosed segments', () => {
+      assert.throws(() => stripDebugSegments('{{#if isDebug}}log();', false), /Unclosed \{\{#if isDebug\}\} block/);
+    });
+
+    test('derived files share onPreBundle listeners', () => {
+      const file = new CodeFile({ relPath: 'a.js', code });
+      const listener = () => {};
+      file.onPreBundle(listener);
+
+      assert.strictEqual(file.stripDebugSegments(true).onPreBundleHook, file.onPreBundleHook);
+      assert.strictEqual(file.derive('other();').code, 'other();');
+      assert.strictEqual(file.derive('other();').onPreBundleHook.count, 1);
+    });
+
+    test('CodeFile.stripDebugSegments returns a new instance', () => {
+      const file = new CodeFile({ relPath: 'a.js', code });
+      const stripped = file.stripDebugSegments(false);
+
+      assert.strictEqual(stripped.code, 'start();\n\nend();');
+      assert.strictEqual(stripped.relPath, 'a.js');
+      assert.strictEqual(file.code, code);
+    });
+  });
+
   describe('includeFileContent', () => {
     test('includes file content as code block', async () => {
       const tempDir = os.tmpdir();
@@ -306,3 +358,29 @@ describe('CodeFile', () => {
     });
   });
 });
+
+describe('CSSFile', () => {
+  test('adds the .css extension and initial css', () => {
+    const file = new CSSFile({ relPath: 'content/styles', css: 'body { color: red; }' });
+    assert.strictEqual(file.relPath, 'content/styles.css');
+    assert.strictEqual(file.css, 'body { color: red; }\n');
+    assert.throws(() => new CSSFile({}), /CSSFile needs a relPath/);
+  });
+
+  test('writes rules with kebab case properties', () => {
+    const file = new CSSFile({ relPath: 'banner.css' })
+      .addRule('.banner', { position: 'fixed', zIndex: 2147483647, '--banner-color': 'teal' })
+      .addBlock('.banner:hover { opacity: 0.5; }');
+    assert.strictEqual(file.css, '.banner {\n    position: fixed;\n    z-index: 2147483647;\n    --banner-color: teal;\n}\n\n.banner:hover { opacity: 0.5; }\n');
+  });
+
+  test('writes to the output directory', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-css-'));
+    try {
+      new CSSFile({ relPath: 'content/banner.css', css: '.banner { display: none; }' }).write(outputDir);
+      assert.strictEqual(fs.readFileSync(path.join(outputDir, 'content/banner.css'), 'utf8'), '.banner { display: none; }\n');
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,161 @@
+// Keyboard shortcuts for the manifest `commands` key, written in browserrc key notation (`<C-S-y>`)
+// and converted to the `suggested_key` format of each platform
+
+import { parseKey } from '../keyParser.js';
+import { uniqueIdentifier } from './identifiers.js';
+
+/**
+ * @typedef {Object} ShortcutRules
+ * @property {boolean} [functionKeys=false] - F1-F12 are supported, with or without modifiers (Firefox)
+ * @property {boolean} [ctrlWithAlt=false] - Ctrl and Alt may be combined (Firefox)
+ */
+
+// Rules per browser engine
+export const SHORTCUT_RULES = {
+    chromium: { functionKeys: false, ctrlWithAlt: false },
+    gecko: { functionKeys: true, ctrlWithAlt: true },
+};
+
+// The operating systems a suggested key can be set for
+export const SHORTCUT_OS = ['default', 'mac', 'windows', 'linux', 'chromeos'];
+
+// Names of the modifiers of parseKey() in suggested_key, Command and MacCtrl only exist on macOS
+const MODIFIER_NAMES = { ctrl: 'Ctrl', alt: 'Alt', super: 'Command', meta: 'MacCtrl', shift: 'Shift' };
+const MAC_ONLY_MODIFIERS = new Set(['Command', 'MacCtrl']);
+
+// Keys by their parseKey() name, letters and digits are accepted as they are
+const KEY_NAMES = {
+    ' ': 'Space', ',': 'Comma', '.': 'Period', comma: 'Comma', period: 'Period',
+    home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown', insert: 'Insert', delete: 'Delete',
+    up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+};
+const MEDIA_KEYS = {
+    medianexttrack: 'MediaNextTrack', mediaprevtrack: 'MediaPrevTrack', mediaplaypause: 'MediaPlayPause', mediastop: 'MediaStop',
+};
+
+/**
+ * Convert a key in browserrc notation to a suggested_key string
+ *
+ * `C-` is Ctrl, `A-`/`M-` Alt, `S-` Shift, `D-` Command and `T-` MacCtrl, e.g. `<C-S-y>` is `Ctrl+Shift+Y`.
+ *
+ * @param {string} notation - e.g. `<C-S-y>`, `<A-Up>` or `<MediaPlayPause>`
+ * @param {Object} [options={}]
+ * @param {ShortcutRules} [options.rules=SHORTCUT_RULES.chromium] - What the platform accepts
+ * @param {boolean} [options.mac=false] - Whether the key is suggested for macOS, which allows Command and MacCtrl
+ * @returns {string}
+ * @throws {Error} If the platform does not support the key or modifier combination
+ */
+export function toSuggestedKey(notation, { rules = SHORTCUT_RULES.chromium, mac = false } = {}) {
+    const parsed = parseKey(notation);
+    const modifiers = Object.entries(MODIFIER_NAMES)
+        .filter(([property]) => parsed.modifiers[property])
+        .map(([, name]) => name);
+    const fail = (reason) => {
+        throw new Error(`Invalid shortcut '${notation}': ${reason}`);
+    };
+
+    let key;
+    if (MEDIA_KEYS[parsed.key]) {
+        if (modifiers.length > 0) {
+            fail('media keys cannot have modifiers');
+        }
+        return MEDIA_KEYS[parsed.key];
+    } else if (/^F([1-9]|1[0-2])$/.test(parsed.key)) {
+        if (!rules.functionKeys) {
+            fail('function keys are not supported');
+        }
+        key = parsed.key;
+    } else if (/^[a-z0-9]$/.test(parsed.key)) {
+        key = parsed.key.toUpperCase();
+    } else if (KEY_NAMES[parsed.key]) {
+        key = KEY_NAMES[parsed.key];
+    } else {
+        fail(`unsupported key '${parsed.key}', use A-Z, 0-9, Comma, Period, Home, End, PageUp, PageDown, Space, Insert, Delete, arrow or media keys`);
+    }
+
+    const macOnly = modifiers.filter(modifier => MAC_ONLY_MODIFIERS.has(modifier));
+    if (!mac && macOnly.length > 0) {
+        fail(`${macOnly.join(' and ')} only exist${macOnly.length > 1 ? '' : 's'} on macOS, suggest it with the 'mac' key`);
+    }
+    const primary = modifiers.filter(modifier => modifier !== 'Shift');
+    if (primary.length === 0 && !key.startsWith('F')) {
+        fail(`needs Ctrl or Alt${mac ? ', Command or MacCtrl' : ''}`);
+    }
+    if (modifiers.length > 2) {
+        fail('at most two modifiers can be combined');
+    }
+    if (!rules.ctrlWithAlt && modifiers.includes('Ctrl') && modifiers.includes('Alt')) {
+        fail('Ctrl and Alt cannot be combined');
+    }
+
+    return [...modifiers, key].join('+');
+}
+
+/**
+ * Build the manifest `commands` of a platform
+ * @param {Record<string, { key?: string | Record<string, string>, description?: string, suggested_key?: Record<string, string> }>} commands
+ *   The commands by name
+ * @param {ShortcutRules} [rules=SHORTCUT_RULES.chromium] - What the platform accepts
+ * @returns {{ commands: Record<string, { suggested_key?: Record<string, string>, description?: string }>, issues: Array<{ path: string, message: string }> }}
+ *   Commands with a key the platform does not support are written without it
+ */
+export function buildCommands(commands, rules = SHORTCUT_RULES.chromium) {
+    const result = {};
+    const issues = [];
+    let suggestedCount = 0;
+
+    for (const [name, { key, description, suggested_key }] of Object.entries(commands)) {
+        const entry = {};
+        const keys = typeof key === 'string' ? { default: key } : (key ?? {});
+        // keys already in suggested_key format (e.g. from manifest.assign()) are kept as they are
+        const suggested = key === undefined && suggested_key ? { ...suggested_key } : {};
+        for (const [os, notation] of Object.entries(keys)) {
+            if (!SHORTCUT_OS.includes(os)) {
+                issues.push({ path: `commands.${name}.suggested_key.${os}`, message: `Unknown operating system '${os}', expected one of ${SHORTCUT_OS.join(', ')}` });
+                continue;
+            }
+            try {
+                suggested[os] = toSuggestedKey(notation, { rules, mac: os === 'mac' });
+            } catch (error) {
+                issues.push({ path: `commands.${name}.suggested_key.${os}`, message: error.message });
+            }
+        }
+        if (Object.keys(suggested).length > 0) {
+            entry.suggested_key = suggested;
+            suggestedCount++;
+        }
+        if (description) {
+            entry.description = description;
+        } else if (!name.startsWith('_execute_')) {
+            issues.push({ path: `commands.${name}.description`, message: `Command '${name}' needs a description` });
+        }
+        result[name] = entry;
+    }
+
+    // browsers ignore the suggested keys of every command after the fourth
+    if (suggestedCount > 4) {
+        issues.push({ path: 'commands', message: `${suggestedCount} commands suggest a key, browsers only accept 4` });
+    }
+    return { commands: result, issues };
+}
+
+/**
+ * Name of the background function handling a command
+ * @param {string} name
+ * @returns {string}
+ */
+export function handlerName(name) {
+    return uniqueIdentifier('handleCommand', name);
+}
+
+/**
+ * The background code routing commands to their onCommand handlers
+ * @param {string[]} names - The commands with a handler
+ * @returns {string}
+ */
+export function commandRoutingCode(names) {
+    const routes = names
+        .map(name => `    if (command === ${JSON.stringify(name)}) ${handlerName(name)}(tab);`)
+        .join('\n');
+    return `chrome.commands.onCommand.addListener((command, tab) => {\n${routes}\n});`;
+}
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for buildtime/commands.js
+ *
+ * Run with: node --test core/buildtime/commands.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { buildCommands, commandRoutingCode, handlerName, SHORTCUT_RULES, toSuggestedKey } from './commands.js';
+import { onReset } from './lifecycle.js';
+
+afterEach(() => {
+  onReset.trigger();
+});
+
+describe('toSuggestedKey', () => {
+  test('converts key notation', () => {
+    assert.strictEqual(toSuggestedKey('<C-S-y>'), 'Ctrl+Shift+Y');
+    assert.strictEqual(toSuggestedKey('<A-Up>'), 'Alt+Up');
+    assert.strictEqual(toSuggestedKey('<M-,>'), 'Alt+Comma');
+    assert.strictEqual(toSuggestedKey('<C-Space>'), 'Ctrl+Space');
+    assert.strictEqual(toSuggestedKey('<S-C-1>'), 'Ctrl+Shift+1');
+    assert.strictEqual(toSuggestedKey('<MediaPlayPause>'), 'MediaPlayPause');
+  });
+
+  test('requires Ctrl or Alt', () => {
+    assert.throws(() => toSuggestedKey('<S-y>'), /Invalid shortcut '<S-y>': needs Ctrl or Alt/);
+    assert.throws(() => toSuggestedKey('y'), /needs Ctrl or Alt/);
+  });
+
+  test('allows Command and MacCtrl only on macOS', () => {
+    assert.throws(() => toSuggestedKey('<D-y>'), /Command only exists on macOS/);
+    assert.strictEqual(toSuggestedKey('<D-S-y>', { mac: true }), 'Command+Shift+Y');
+    assert.strictEqual(toSuggestedKey('<T-y>', { mac: true }), 'MacCtrl+Y');
+  });
+
+  test('rejects unsupported keys and combinations', () => {
+    assert.throws(() => toSuggestedKey('<C-/>'), /unsupported key '\/'/);
+    assert.throws(() => toSuggestedKey('<C-A-y>'), /Ctrl and Alt cannot be combined/);
+    assert.throws(() => toSuggestedKey('<C-A-S-y>', { rules: SHORTCUT_RULES.gecko }), /at most two modifiers/);
+    assert.throws(() => toSuggestedKey('<C-MediaStop>'), /media keys cannot have modifiers/);
+  });
+
+  test('follows the rules of the platform', () => {
+    assert.throws(() => toSuggestedKey('<F5>'), /function keys are not supported/);
+    assert.strictEqual(toSuggestedKey('<F5>', { rules: SHORTCUT_RULES.gecko }), 'F5');
+    assert.strictEqual(toSuggestedKey('<C-A-y>', { rules: SHORTCUT_RULES.gecko }), 'Ctrl+Alt+Y');
+  });
+});
+
+describe('buildCommands', () => {
+  test('builds suggested keys per operating system', () => {
+    const { commands, issues } = buildCommands({
+      'toggle-dark-mode': { key: { default: '<C-S-y>', mac: '<D-S-y>' }, description: 'Toggle dark mode' },
+      _execute_action: { key: '<A-S-p>' },
+      'no-key': { description: 'Assigned by the user' },
+    });
+
+    assert.deepStrictEqual(issues, []);
+    assert.deepStrictEqual(commands, {
+      'toggle-dark-mode': { suggested_key: { default: 'Ctrl+Shift+Y', mac: 'Command+Shift+Y' }, description: 'Toggle dark mode' },
+      _execute_action: { suggested_key: { default: 'Alt+Shift+P' } },
+      'no-key': { description: 'Assigned by the user' },
+    });
+  });
+
+  test('reports invalid keys and drops them', () => {
+    const { commands, issues } = buildCommands({ reload: { key: { default: '<F5>', beos: '<C-r>' } } });
+
+    assert.deepStrictEqual(commands, { reload: {} });
+    assert.deepStrictEqual(issues.map(issue => issue.path), [
+      'commands.reload.suggested_key.default',
+      'commands.reload.suggested_key.beos',
+      'commands.reload.description',
+    ]);
+  });
+
+  test('keeps keys in suggested_key format', () => {
+    const { commands } = buildCommands({ open: { suggested_key: { default: 'Ctrl+Shift+O' }, description: 'Open' } });
+
+    assert.deepStrictEqual(commands.open.suggested_key, { default: 'Ctrl+Shift+O' });
+  });
+
+  test('reports more than four suggested keys', () => {
+    const commands = Object.fromEntries(['1', '2', '3', '4', '5'].map(digit => [`tab-${digit}`, { key: `<A-${digit}>`, description: digit }]));
+
+    assert.deepStrictEqual(buildCommands(commands).issues, [{ path: 'commands', message: '5 commands suggest a key, browsers only accept 4' }]);
+  });
+});
+
+describe('commandRoutingCode', () => {
+  test('routes commands to their handlers', () => {
+    const code = commandRoutingCode(['toggle-dark-mode']);
+    assert.match(code, /^chrome\.commands\.onCommand\.addListener\(\(command, tab\) => \{/);
+    assert.match(code, /if \(command === "toggle-dark-mode"\) handleCommand_toggle_dark_mode\(tab\);/);
+  });
+
+  test('gives commands with the same identifier their own handler', () => {
+    assert.strictEqual(handlerName('a-b'), 'handleCommand_a_b');
+    assert.strictEqual(handlerName('a_b'), 'handleCommand_a_b_2');
+    const code = commandRoutingCode(['a-b', 'a_b']);
+    assert.match(code, /if \(command === "a-b"\) handleCommand_a_b\(tab\);/);
+    assert.match(code, /if \(command === "a_b"\) handleCommand_a_b_2\(tab\);/);
+  });
+});
@@ -0,0 +1,118 @@
+// Manifest `content_scripts` entries: built from the content script options of the rc file and
+// adjusted per platform, where the engines differ in the keys they support.
+
+/**
+ * @typedef {Object} ContentScriptOptions
+ * @property {string[]} [js] - Scripts to inject, in order
+ * @property {string[]} [css] - Stylesheets to inject, before the page is rendered
+ * @property {string[]} [matches=['<all_urls>']]
+ * @property {string[]} [exclude_matches] - Match patterns of pages to leave alone
+ * @property {string[]} [include_globs] - Pages must also match one of these globs (`*` and `?`)
+ * @property {string[]} [exclude_globs] - Pages matching one of these globs are left alone
+ * @property {'document_start' | 'document_end' | 'document_idle'} [run_at='document_idle']
+ * @property {boolean} [all_frames=false]
+ * @property {boolean} [match_about_blank] - Also inject into about:blank frames of matching pages
+ * @property {'ISOLATED' | 'MAIN'} [world] - `MAIN` shares the page's JavaScript globals, without extension APIs
+ */
+
+const RUN_AT = ['document_start', 'document_end', 'document_idle'];
+const WORLDS = ['ISOLATED', 'MAIN'];
+const LIST_KEYS = ['js', 'css', 'matches', 'exclude_matches', 'include_globs', 'exclude_globs'];
+
+// first Firefox version running content scripts in the main world
+const GECKO_MAIN_WORLD_VERSION = 128;
+
+/**
+ * Validate content script options and build the manifest entry
+ * @param {ContentScriptOptions} options
+ * @returns {Record<string, any>} The `content_scripts` entry, optional keys only when set
+ * @throws {Error} If the options are invalid
+ */
+export function buildContentScriptEntry(options) {
+    const {
+        js = [],
+        css = [],
+        matches = ['<all_urls>'],
+        run_at = 'document_idle',
+        all_frames = false,
+        exclude_matches,
+        include_globs,
+        exclude_globs,
+        match_about_blank,
+        world,
+    } = options;
+
+    if (js.length === 0 && css.length === 0) {
+        throw new Error('Content script must specify js or css files');
+    }
+    for (const key of LIST_KEYS) {
+        const list = options[key];
+        if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+            throw new Error(`Content script ${key} must be a list of strings`);
+        }
+    }
+    if (!RUN_AT.includes(run_at)) {
+        throw new Error(`Content script run_at must be one of ${RUN_AT.join(', ')}, got '${run_at}'`);
+    }
+    if (world !== undefined && !WORLDS.includes(world)) {
+        throw new Error(`Content script world must be ISOLATED or MAIN, got '${world}'`);
+    }
+    if (world === 'MAIN' && css.length > 0 && js.length === 0) {
+        throw new Error('Content script world only applies to js files, drop it for stylesheets');
+    }
+
+    return {
+        matches,
+        ...(exclude_matches?.length && { exclude_matches }),
+        ...(include_globs?.length && { include_globs }),
+        ...(exclude_globs?.length && { exclude_globs }),
+        ...(js.length > 0 && { js }),
+        ...(css.length > 0 && { css }),
+        run_at,
+        all_frames,
+        ...(match_about_blank !== undefined && { match_about_blank }),
+        ...(world !== undefined && { world }),
+    };
+}
+
+/**
+ * The major version of a `strict_min_version` like `128.0`
+ * @param {Record<string, any> | undefined} browserSpecificSettings
+ * @returns {number} 0 when there is none
+ */
+function geckoMinVersion(browserSpecificSettings) {
+    const minVersion = browserSpecificSettings?.gecko?.strict_min_version;
+    return minVersion ? parseInt(minVersion, 10) || 0 : 0;
+}
+
+/**
+ * Adjust content script entries to what a platform supports
+ *
+ * - Chromium runs content scripts in the main world from Manifest V3 on, Manifest V2 entries lose `world`
+ * - Firefox supports `world: 'MAIN'` from version 128 and ignores it before, which is reported unless
+ *   the platform's `strict_min_version` rules older versions out
+ * - `world: 'ISOLATED'` is the default everywhere and is left out
+ *
+ * @param {Array<Record<string, any>>} entries - From buildContentScriptEntry()
+ * @param {{ name: string, manifestVersion: 2 | 3, engine: 'chromium' | 'gecko', browserSpecificSettings?: Record<string, any> }} platform
+ * @returns {{ contentScripts: Array<Record<string, any>>, warnings: string[] }}
+ */
+export function contentScriptsForPlatform(entries, platform) {
+    const warnings = [];
+    const contentScripts = entries.map((entry, index) => {
+        const { world, ...rest } = entry;
+        if (world !== 'MAIN') {
+            return rest;
+        }
+        if (platform.engine === 'chromium' && platform.manifestVersion === 2) {
+            warnings.push(`content_scripts[${index}] runs in the isolated world, Manifest V2 has no world key`);
+            return rest;
+        }
+        if (platform.engine === 'gecko' && geckoMinVersion(platform.browserSpecificSettings) < GECKO_MAIN_WORLD_VERSION) {
+            warnings.push(`content_scripts[${index}] runs in the isolated world before Firefox ${GECKO_MAIN_WORLD_VERSION}, `
+                + `set browserSpecificSettings.gecko.strict_min_version to '${GECKO_MAIN_WORLD_VERSION}.0' to require it`);
+        }
+        return entry;
+    });
+    return { contentScripts, warnings };
+}
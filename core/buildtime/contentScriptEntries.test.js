@@ -0,0 +1,86 @@
+/**
+ * Unit tests for buildtime/contentScriptEntries.js
+ *
+ * Run with: node --test core/buildtime/contentScriptEntries.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { buildContentScriptEntry, contentScriptsForPlatform } from './contentScriptEntries.js';
+
+const chrome = { name: 'chrome', manifestVersion: 3, engine: 'chromium' };
+const chromeMV2 = { name: 'chrome-mv2', manifestVersion: 2, engine: 'chromium' };
+const firefox = { name: 'firefox', manifestVersion: 3, engine: 'gecko' };
+
+describe('buildContentScriptEntry', () => {
+  test('applies the defaults', () => {
+    assert.deepStrictEqual(buildContentScriptEntry({ js: ['content.js'] }), {
+      matches: ['<all_urls>'], js: ['content.js'], run_at: 'document_idle', all_frames: false,
+    });
+  });
+
+  test('keeps the match options, stylesheets and world', () => {
+    assert.deepStrictEqual(buildContentScriptEntry({
+      js: ['content.js'],
+      css: ['content.css'],
+      matches: ['https://*.example.com/*'],
+      exclude_matches: ['https://admin.example.com/*'],
+      include_globs: ['*example.com/docs/*'],
+      exclude_globs: ['*/checkout/*'],
+      match_about_blank: true,
+      world: 'MAIN',
+      run_at: 'document_start',
+    }), {
+      matches: ['https://*.example.com/*'],
+      exclude_matches: ['https://admin.example.com/*'],
+      include_globs: ['*example.com/docs/*'],
+      exclude_globs: ['*/checkout/*'],
+      js: ['content.js'],
+      css: ['content.css'],
+      run_at: 'document_start',
+      all_frames: false,
+      match_about_blank: true,
+      world: 'MAIN',
+    });
+  });
+
+  test('accepts stylesheets without scripts', () => {
+    assert.deepStrictEqual(buildContentScriptEntry({ css: ['dark.css'] }).css, ['dark.css']);
+    assert.strictEqual(buildContentScriptEntry({ css: ['dark.css'] }).js, undefined);
+  });
+
+  test('rejects invalid options', () => {
+    assert.throws(() => buildContentScriptEntry({}), /must specify js or css files/);
+    assert.throws(() => buildContentScriptEntry({ js: ['a.js'], exclude_globs: '*/admin/*' }), /exclude_globs must be a list of strings/);
+    assert.throws(() => buildContentScriptEntry({ js: ['a.js'], run_at: 'load' }), /run_at must be one of/);
+    assert.throws(() => buildContentScriptEntry({ js: ['a.js'], world: 'main' }), /world must be ISOLATED or MAIN, got 'main'/);
+    assert.throws(() => buildContentScriptEntry({ css: ['a.css'], world: 'MAIN' }), /world only applies to js files/);
+  });
+});
+
+describe('contentScriptsForPlatform', () => {
+  const isolated = buildContentScriptEntry({ js: ['a.js'], world: 'ISOLATED' });
+  const main = buildContentScriptEntry({ js: ['b.js'], world: 'MAIN' });
+
+  test('leaves out the default isolated world', () => {
+    const { contentScripts, warnings } = contentScriptsForPlatform([isolated, main], chrome);
+    assert.strictEqual(contentScripts[0].world, undefined);
+    assert.strictEqual(contentScripts[1].world, 'MAIN');
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  test('drops the main world from Chromium Manifest V2', () => {
+    const { contentScripts, warnings } = contentScriptsForPlatform([isolated, main], chromeMV2);
+    assert.strictEqual(contentScripts[1].world, undefined);
+    assert.deepStrictEqual(warnings, ['content_scripts[1] runs in the isolated world, Manifest V2 has no world key']);
+  });
+
+  test('reports the main world on Firefox unless version 128 is required', () => {
+    const { contentScripts, warnings } = contentScriptsForPlatform([main], firefox);
+    assert.strictEqual(contentScripts[0].world, 'MAIN');
+    assert.match(warnings[0], /content_scripts\[0\] runs in the isolated world before Firefox 128, set browserSpecificSettings\.gecko\.strict_min_version/);
+
+    const required = { ...firefox, browserSpecificSettings: { gecko: { id: 'a@example.com', strict_min_version: '128.0' } } };
+    assert.deepStrictEqual(contentScriptsForPlatform([main], required).warnings, []);
+  });
+});
@@ -1,53 +1,140 @@
 import path from "path";
 import { addContentScript } from "./manifest.ts";
 import { CodeFile } from "./code.js";
+import { withLiveReloadClient } from "./liveReload.js";
+import { getPlatform, listPlatforms, targetPlatforms } from "./platforms.js";
+import { writeCodeFile } from "./bundle.js";
 import { hooks } from "../../index.js";
+import background from "./background.js";
+import { buildContentScriptEntry } from "./contentScriptEntries.js";
+import { hasScriptingApi, registrationCode, toRegisteredScript, validateMatchesSetting } from "./runtimeContentScripts.js";
+import { scriptingScope } from "../../stdlib/scripting.ts";
+
+// background scripts the scripting helpers are added to, once each
+const SCRIPTING_BACKGROUNDS = new WeakSet();
 
 
 /**
- * Create a file builder and register the built script in the manifest
- *
- * @param {string} relPath - The relative path to the content script file
- * @param {Partial<{
+ * @typedef {Partial<{
  *   matches: string[],
+ *   exclude_matches: string[],
+ *   include_globs: string[],
+ *   exclude_globs: string[],
+ *   css: Array<string | import("./code.js").CSSFile>,
  *   run_at: "document_start" | "document_end" | "document_idle",
  *   all_frames: boolean,
+ *   match_about_blank: boolean,
+ *   world: "ISOLATED" | "MAIN",
  *   platforms: import("browserrc").BuildPlatforms
- * }>} [options] - The options for the content script
+ * }>} ContentScriptOptions
+ */
+
+/**
+ * @typedef {Omit<ContentScriptOptions, 'matches'> & {
+ *   register?: 'manifest' | 'runtime',
+ *   id?: string,
+ *   matches?: string[] | { setting: string }
+ * }} DynamicContentScriptOptions
+ */
+
+/**
+ * Create a file builder and register the built script in the manifest
+ *
+ * @param {string} relPath - The relative path to the content script file
+ * @param {DynamicContentScriptOptions} [options] - The options for the content script, `platforms` defaults to every
+ *   platform being built. Stylesheets are paths or `css()` files, `world: 'MAIN'` runs the script with the page's globals.
+ *   `register: 'runtime'` registers the script from the background script instead of the manifest, its
+ *   matches can then be the key of a list setting (`{ setting: 'allowlist' }`)
  * @returns {CodeFile} The javascript file builder
  */
 function dynamicContentScript(relPath, options = {}) {
+    const { register = 'manifest', ...scriptOptions } = options;
     const javascriptFile = new CodeFile({ relPath });
 
-    // ensure manifest contains the declaration
-    staticContentScript(javascriptFile.relPath, options);
+    // ensure the manifest or the background script registers the file
+    if (register === 'runtime') {
+        runtimeContentScript(javascriptFile.relPath, scriptOptions);
+    } else if (register === 'manifest') {
+        staticContentScript(javascriptFile.relPath, scriptOptions);
+    } else {
+        throw new Error(`Invalid content script register '${register}', expected 'manifest' or 'runtime'`);
+    }
     
     // ensure that the file gets written on build
-    hooks.onBuild.register(async ({ outputDir, platforms }) => {
-        const targetPlatforms = options.platforms || { chrome: true, firefox: true };
-        
+    hooks.onBuild.register(async (buildContext) => {
+        const { platforms, liveReload } = buildContext;
+        const codeFile = liveReload
+            ? withLiveReloadClient(javascriptFile, 'content', liveReload)
+            : javascriptFile;
+
         // Write the content script to each platform-specific directory
-        for (const platform of ['chrome', 'firefox']) {
-            if (platforms?.[platform] && targetPlatforms[platform]) {
-                const platformOutputDir = path.join(outputDir, platform);
-                console.debug(`[onBuild] writing content script to ${platform}:`, javascriptFile.relPath);
-                javascriptFile.write(platformOutputDir);
-            }
-        }
+        const contentScriptPlatforms = targetPlatforms(platforms, options.platforms);
+        console.debug(`[onBuild] writing content script to ${contentScriptPlatforms.join(', ')}:`, javascriptFile.relPath);
+        await writeCodeFile(codeFile, buildContext, contentScriptPlatforms);
     })
 
     return javascriptFile
 }
 
 
+/**
+ * Register a content script in the manifest, the files are written by the rc file (or copied as assets)
+ *
+ * @param {string} relPath - The relative path to the content script file
+ * @param {ContentScriptOptions} [options]
+ */
 function staticContentScript(relPath, options = {}) {
-    addContentScript(Object.assign({
-        matches: ['<all_urls>'],
+    const { css, ...entryOptions } = options;
+    addContentScript({
         js: [relPath],
-        run_at: 'document_idle',
-        all_frames: false,
-        platforms: { chrome: true, firefox: true },
-    }, options));
+        ...entryOptions,
+        ...(css && { css: css.map(file => (typeof file === 'string' ? file : file.relPath)) }),
+    });
+}
+
+
+/**
+ * Register a content script from the background script with `chrome.scripting`, on install and startup
+ *
+ * @param {string} relPath - The relative path to the content script file
+ * @param {Omit<DynamicContentScriptOptions, 'register'>} options
+ */
+function runtimeContentScript(relPath, options) {
+    const {
+        id = relPath.replace(/\.js$/, '').replace(/[^A-Za-z0-9_-]/g, '-'),
+        matches = ['<all_urls>'],
+        css,
+        platforms,
+        ...entryOptions
+    } = options;
+    if (!Array.isArray(matches)) {
+        validateMatchesSetting(matches.setting);
+    }
+    const { matches: _, ...entry } = buildContentScriptEntry({
+        js: [relPath],
+        ...entryOptions,
+        ...(css && { css: css.map(file => (typeof file === 'string' ? file : file.relPath)) }),
+    });
+    const script = toRegisteredScript(id, entry);
+
+    if (!SCRIPTING_BACKGROUNDS.has(background.code)) {
+        SCRIPTING_BACKGROUNDS.add(background.code);
+        background.code.apply(scriptingScope);
+    }
+    const code = registrationCode(script, matches);
+
+    // platforms can still be configured while the rc file runs, they are final before the first build
+    hooks.onBeforeBuild.once(() => {
+        const names = listPlatforms()
+            .filter(name => (!platforms || platforms[name]) && hasScriptingApi(getPlatform(name)));
+        if (names.length === listPlatforms().length) {
+            background.code.addBlock(code);
+        } else if (names.length > 0) {
+            // PLATFORM is defined per bundle, Bun drops the registration from the other platforms
+            const condition = names.map(name => `PLATFORM === ${JSON.stringify(name)}`).join(' || ');
+            background.code.addBlock(`if (${condition}) {\n${code}\n}`);
+        }
+    });
 }
 
 
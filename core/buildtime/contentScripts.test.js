@@ -0,0 +1,54 @@
+/**
+ * Tests for buildtime/contentScripts.js, they build an extension and need Bun
+ *
+ * Run with: bun test ./core/buildtime/contentScripts.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { build, resetBuildState } from './index.js';
+import contentScripts from './contentScripts.js';
+import { configurePlatform } from './platforms.js';
+
+let outputDir;
+
+beforeEach(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-content-scripts-'));
+});
+
+afterEach(() => {
+  resetBuildState();
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+const readBackground = (platform) => fs.readFileSync(path.join(outputDir, platform, 'background.js'), 'utf8');
+const count = (text, pattern) => text.split(pattern).length - 1;
+
+describe('runtime content scripts', () => {
+  test('are registered once when build() runs twice', async () => {
+    contentScripts.dynamic('content/inject.js', { register: 'runtime', matches: ['https://example.com/*'] })
+      .addLine('console.log("injected");');
+
+    await build({ outputDir, platforms: { chrome: true }, mode: 'development' });
+    await build({ outputDir, platforms: { chrome: true }, mode: 'development' });
+
+    const background = readBackground('chrome');
+    assert.strictEqual(count(background, 'syncContentScript_content_inject = '), 1);
+    assert.strictEqual(count(background, 'onInstalled.addListener'), 1);
+    assert.strictEqual(count(background, 'async function syncContentScript('), 1);
+  });
+
+  test('are left out of platforms without the scripting API', async () => {
+    configurePlatform('chrome', { manifestVersion: 2 });
+    contentScripts.dynamic('content/inject.js', { register: 'runtime', matches: ['https://example.com/*'] })
+      .addLine('console.log("injected");');
+
+    await build({ outputDir });
+
+    assert.doesNotMatch(readBackground('chrome'), /registerContentScripts/);
+    assert.match(readBackground('firefox'), /registerContentScripts/);
+  });
+});
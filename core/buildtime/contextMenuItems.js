@@ -0,0 +1,183 @@
+// Context menu items declared in the rc file: validated, given ids and turned into the
+// `chrome.contextMenus.create` calls of the background script
+
+import { isValidMatchPattern } from './manifestValidation.js';
+import { onReset } from './lifecycle.js';
+import { uniqueIdentifier } from './identifiers.js';
+
+/**
+ * @typedef {Object} ContextMenu
+ * @property {string} [id] - Defaults to the title in kebab case, made unique with a number
+ * @property {string} [title] - Required except for separators, `%s` is replaced with the selected text
+ * @property {'normal' | 'checkbox' | 'radio' | 'separator'} [type='normal']
+ * @property {string[]} [contexts=['page']] - Where the item is shown, e.g. `selection`, `link` or `action`
+ * @property {string[]} [documentUrlPatterns] - Only show the item on pages matching these patterns
+ * @property {string[]} [targetUrlPatterns] - Only show the item for links, images, ... matching these patterns
+ * @property {boolean} [checked] - Initial state of checkbox and radio items
+ * @property {boolean} [enabled=true]
+ * @property {(info: object, tab?: object) => void} [onClick] - Serialized into the background script
+ * @property {ContextMenu[]} [children] - Items of a submenu
+ */
+
+const CONTEXTS = ['all', 'page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio', 'launcher',
+    'browser_action', 'page_action', 'action', 'bookmark', 'tab', 'tools_menu', 'password'];
+const TYPES = ['normal', 'checkbox', 'radio', 'separator'];
+
+// ids of every declared item, ids are unique across menus
+const MENU_IDS = new Set();
+let MENU_COUNT = 0;
+
+onReset.register(() => {
+    MENU_IDS.clear();
+    MENU_COUNT = 0;
+});
+
+/**
+ * Build an id from a title
+ * @param {string | undefined} title
+ * @returns {string}
+ */
+function idFromTitle(title) {
+    const slug = (title || '').toLowerCase().replace(/%s/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    let id = slug || 'menu';
+    for (let suffix = 2; MENU_IDS.has(id); suffix++) {
+        id = `${slug || 'menu'}-${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Validate a menu item, throwing an error that names the offending field
+ * @param {ContextMenu} menu
+ * @param {string} itemPath - e.g. `children[1]`, for error messages
+ */
+function validateMenu(menu, itemPath) {
+    const fail = (message) => {
+        throw new Error(`Invalid context menu${itemPath ? ` ${itemPath}` : ''}: ${message}`);
+    };
+    const type = menu.type ?? 'normal';
+    if (!TYPES.includes(type)) {
+        fail(`type must be one of ${TYPES.join(', ')}, got '${type}'`);
+    }
+    if (type !== 'separator' && !menu.title) {
+        fail('title is required');
+    }
+    (menu.contexts || []).forEach((context, index) => {
+        if (!CONTEXTS.includes(context)) {
+            fail(`contexts[${index}] must be one of ${CONTEXTS.join(', ')}, got '${context}'`);
+        }
+    });
+    for (const key of ['documentUrlPatterns', 'targetUrlPatterns']) {
+        (menu[key] || []).forEach((pattern, index) => {
+            if (!isValidMatchPattern(pattern)) {
+                fail(`${key}[${index}] is not a valid match pattern: '${pattern}'`);
+            }
+        });
+    }
+    if (menu.onClick !== undefined && typeof menu.onClick !== 'function') {
+        fail('onClick must be a function');
+    }
+    if (menu.children?.length) {
+        if (menu.onClick) {
+            fail('items with children are not clickable, move onClick to a child');
+        }
+        if (type !== 'normal') {
+            fail(`${type} items cannot have children`);
+        }
+    }
+    if (menu.id !== undefined && MENU_IDS.has(menu.id)) {
+        fail(`id '${menu.id}' is already used`);
+    }
+}
+
+/**
+ * Validate a menu with its submenus and flatten it into the items to create, parents first
+ * @param {ContextMenu} menu
+ * @returns {{ items: Array<Record<string, any>>, handlers: Array<{ id: string, onClick: Function }> }}
+ *   The `chrome.contextMenus.create` properties and the click handlers by item id
+ * @throws {Error} If an item is invalid or its id is taken
+ */
+export function flattenMenu(menu) {
+    const items = [];
+    const handlers = [];
+    const ids = [];
+
+    const visit = (item, itemPath, parentId) => {
+        validateMenu(item, itemPath);
+        const { id = idFromTitle(item.title), onClick, children = [], contexts, ...properties } = item;
+        MENU_IDS.add(id);
+        ids.push(id);
+        items.push({
+            id,
+            ...properties,
+            // submenu items inherit the contexts of their parent unless they set their own
+            ...((contexts || !parentId) && { contexts: contexts ?? ['page'] }),
+            ...(parentId && { parentId }),
+        });
+        if (onClick) {
+            handlers.push({ id, onClick });
+        }
+        children.forEach((child, index) => visit(child, `${itemPath ? `${itemPath}.` : ''}children[${index}]`, id));
+    };
+
+    try {
+        visit(menu, '', undefined);
+    } catch (error) {
+        // keep the ids of a menu that failed free
+        ids.forEach(id => MENU_IDS.delete(id));
+        throw error;
+    }
+    MENU_COUNT++;
+
+    // children without contexts are shown wherever their parent is
+    const contextsById = new Map();
+    for (const item of items) {
+        const contexts = item.contexts ?? contextsById.get(item.parentId);
+        contextsById.set(item.id, contexts);
+        item.contexts = contexts;
+    }
+    return { items, handlers };
+}
+
+/**
+ * Name of the background function handling clicks of an item
+ * @param {string} id
+ * @returns {string}
+ */
+export function handlerName(id) {
+    return uniqueIdentifier('handleContextMenu', id);
+}
+
+/**
+ * The background code creating the items when the extension is installed or updated
+ * @param {Array<Record<string, any>>} items - From flattenMenu()
+ * @returns {string}
+ */
+export function menuCreationCode(items) {
+    // reading lastError marks it as checked, items surviving an update already exist
+    return `chrome.runtime.onInstalled.addListener(() => {
+    for (const item of ${JSON.stringify(items)}) {
+        chrome.contextMenus.create(item, () => void chrome.runtime.lastError);
+    }
+});`;
+}
+
+/**
+ * The background code routing clicks to the handlers of a menu
+ * @param {Array<{ id: string }>} handlers - From flattenMenu()
+ * @returns {string}
+ */
+export function clickRoutingCode(handlers) {
+    const routes = handlers
+        .map(({ id }) => `    if (info.menuItemId === ${JSON.stringify(id)}) ${handlerName(id)}(info, tab);`)
+        .join('\n');
+    return `chrome.contextMenus.onClicked.addListener((info, tab) => {\n${routes}\n});`;
+}
+
+/**
+ * The manifest permissions the declared menus need
+ * @returns {string[]}
+ */
+export function contextMenuPermissions() {
+    return MENU_COUNT > 0 ? ['contextMenus'] : [];
+}
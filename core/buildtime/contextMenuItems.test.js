@@ -0,0 +1,96 @@
+/**
+ * Unit tests for buildtime/contextMenuItems.js
+ *
+ * Run with: node --test core/buildtime/contextMenuItems.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { clickRoutingCode, contextMenuPermissions, flattenMenu, handlerName, menuCreationCode } from './contextMenuItems.js';
+import { onReset } from './lifecycle.js';
+
+afterEach(() => {
+  onReset.trigger();
+});
+
+describe('flattenMenu', () => {
+  test('derives ids from titles and defaults contexts to page', () => {
+    const onClick = () => {};
+    const { items, handlers } = flattenMenu({ title: 'Search for "%s"', onClick, documentUrlPatterns: ['https://*.example.com/*'] });
+    assert.deepStrictEqual(items, [
+      { id: 'search-for', title: 'Search for "%s"', documentUrlPatterns: ['https://*.example.com/*'], contexts: ['page'] },
+    ]);
+    assert.deepStrictEqual(handlers, [{ id: 'search-for', onClick }]);
+  });
+
+  test('makes ids unique across menus', () => {
+    assert.strictEqual(flattenMenu({ title: 'Copy' }).items[0].id, 'copy');
+    assert.strictEqual(flattenMenu({ title: 'Copy' }).items[0].id, 'copy-2');
+    assert.throws(() => flattenMenu({ id: 'copy', title: 'Other' }), /id 'copy' is already used/);
+  });
+
+  test('flattens submenus, parents first, with inherited contexts', () => {
+    const { items, handlers } = flattenMenu({
+      title: 'Copy as',
+      contexts: ['link', 'selection'],
+      children: [
+        { title: 'Markdown', onClick: () => {} },
+        { type: 'separator' },
+        { title: 'More', children: [{ id: 'html', title: 'HTML', contexts: ['link'], onClick: () => {} }] },
+      ],
+    });
+    assert.deepStrictEqual(items.map(({ id, parentId, contexts }) => ({ id, parentId, contexts })), [
+      { id: 'copy-as', parentId: undefined, contexts: ['link', 'selection'] },
+      { id: 'markdown', parentId: 'copy-as', contexts: ['link', 'selection'] },
+      { id: 'menu', parentId: 'copy-as', contexts: ['link', 'selection'] },
+      { id: 'more', parentId: 'copy-as', contexts: ['link', 'selection'] },
+      { id: 'html', parentId: 'more', contexts: ['link'] },
+    ]);
+    assert.deepStrictEqual(handlers.map(({ id }) => id), ['markdown', 'html']);
+  });
+
+  test('rejects invalid items with their path', () => {
+    assert.throws(() => flattenMenu({ contexts: ['page'] }), /^Error: Invalid context menu: title is required/);
+    assert.throws(() => flattenMenu({ title: 'A', contexts: ['toolbar'] }), /contexts\[0\] must be one of/);
+    assert.throws(() => flattenMenu({ title: 'A', documentUrlPatterns: ['example.com'] }), /documentUrlPatterns\[0\] is not a valid match pattern/);
+    assert.throws(() => flattenMenu({ title: 'A', onClick: 'open' }), /onClick must be a function/);
+    assert.throws(() => flattenMenu({ title: 'A', onClick: () => {}, children: [{ title: 'B' }] }), /not clickable/);
+    assert.throws(
+      () => flattenMenu({ title: 'A', children: [{ title: 'B' }, { title: 'C', type: 'button' }] }),
+      /Invalid context menu children\[1\]: type must be one of/,
+    );
+  });
+
+  test('frees the ids of a rejected menu', () => {
+    assert.throws(() => flattenMenu({ title: 'Copy', children: [{ title: '' }] }));
+    assert.strictEqual(flattenMenu({ title: 'Copy' }).items[0].id, 'copy');
+  });
+});
+
+describe('generated code', () => {
+  test('creates the items on install, ignoring items that already exist', () => {
+    const code = menuCreationCode([{ id: 'a', title: 'A', contexts: ['page'] }]);
+    assert.match(code, /^chrome\.runtime\.onInstalled\.addListener\(/);
+    assert.match(code, /for \(const item of \[\{"id":"a","title":"A","contexts":\["page"\]\}\]\)/);
+    assert.match(code, /chrome\.contextMenus\.create\(item, \(\) => void chrome\.runtime\.lastError\)/);
+  });
+
+  test('routes clicks by menu item id', () => {
+    assert.strictEqual(handlerName('copy-as.md'), 'handleContextMenu_copy_as_md');
+    assert.strictEqual(handlerName('copy_as_md'), 'handleContextMenu_copy_as_md_2');
+    const code = clickRoutingCode([{ id: 'markdown' }, { id: 'plain-text' }]);
+    assert.match(code, /^chrome\.contextMenus\.onClicked\.addListener\(\(info, tab\) => \{/);
+    assert.match(code, /if \(info\.menuItemId === "markdown"\) handleContextMenu_markdown\(info, tab\);/);
+    assert.match(code, /if \(info\.menuItemId === "plain-text"\) handleContextMenu_plain_text\(info, tab\);/);
+  });
+});
+
+describe('contextMenuPermissions', () => {
+  test('needs contextMenus once a menu is added', () => {
+    assert.deepStrictEqual(contextMenuPermissions(), []);
+    assert.throws(() => flattenMenu({}));
+    assert.deepStrictEqual(contextMenuPermissions(), []);
+    flattenMenu({ title: 'A' });
+    assert.deepStrictEqual(contextMenuPermissions(), ['contextMenus']);
+  });
+});
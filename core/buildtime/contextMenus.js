@@ -0,0 +1,30 @@
+import background from "./background.js";
+import { clickRoutingCode, flattenMenu, handlerName, menuCreationCode } from "./contextMenuItems.js";
+
+/**
+ * Add a context menu, created when the extension is installed or updated
+ *
+ * The `onClick` handlers are serialized into the background script like `manifest.action` handlers,
+ * so they cannot use variables of the rc file. Nested menus are declared with `children`.
+ *
+ * @param {import("./contextMenuItems.js").ContextMenu} menu
+ * @returns {string} The id of the menu item, e.g. to update it with `chrome.contextMenus.update`
+ * @throws {Error} If an item is invalid or its id is taken
+ */
+function addContextMenu(menu) {
+    const { items, handlers } = flattenMenu(menu);
+
+    for (const { id, onClick } of handlers) {
+        background.code.includeFunction(onClick, handlerName(id));
+    }
+    background.code.addBlock(menuCreationCode(items));
+    if (handlers.length > 0) {
+        background.code.addBlock(clickRoutingCode(handlers));
+    }
+    return items[0].id;
+}
+
+// public API, imported in the browserrc file as `import { contextMenus } from 'browserrc'`
+export default {
+    add: addContextMenu,
+};
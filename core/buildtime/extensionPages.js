@@ -0,0 +1,81 @@
+// Manifest entries of the extension pages besides the popup: the options page, the side panel,
+// the devtools page and the new tab override. Each platform declares them under its own keys.
+
+/**
+ * @typedef {'options' | 'sidePanel' | 'devtools' | 'newTab'} PageKind
+ */
+
+/**
+ * @typedef {Object} WrittenPage
+ * @property {string} path - Path of the page's HTML file relative to the platform directory
+ * @property {{ openInTab?: boolean, title?: string }} config - The page configuration from the rc file
+ */
+
+/**
+ * Directory of each page kind in the platform output, the HTML file is named after it
+ * @type {Record<PageKind, string>}
+ */
+export const PAGE_DIRECTORIES = {
+    options: 'options',
+    sidePanel: 'sidepanel',
+    devtools: 'devtools',
+    newTab: 'newtab',
+};
+
+/**
+ * Manifest key of each page kind, rc call sites are recorded under it
+ * @type {Record<PageKind, string>}
+ */
+export const PAGE_MANIFEST_KEYS = {
+    options: 'options_ui',
+    sidePanel: 'side_panel',
+    devtools: 'devtools_page',
+    newTab: 'chrome_url_overrides',
+};
+
+/**
+ * Build the manifest entries of the pages for a platform
+ * @param {Partial<Record<PageKind, WrittenPage>>} pages - The written pages
+ * @param {{ name: string, manifestVersion: 2 | 3, engine: 'chromium' | 'gecko' }} platform
+ * @returns {{ properties: Record<string, any>, permissions: string[], warnings: string[] }}
+ *   Manifest properties, the permissions they need and pages the platform has no place for
+ */
+export function pageManifestEntries(pages, platform) {
+    const properties = {};
+    const permissions = [];
+    const warnings = [];
+    const { options, sidePanel, devtools, newTab } = pages;
+
+    if (options) {
+        properties.options_ui = {
+            page: options.path,
+            open_in_tab: options.config.openInTab ?? false,
+            // Firefox styles Manifest V2 options pages like its own settings unless told otherwise, keep them as in Chrome
+            ...(platform.manifestVersion === 2 && platform.engine === 'gecko' && { browser_style: false }),
+        };
+    }
+
+    if (sidePanel) {
+        if (platform.engine === 'gecko') {
+            properties.sidebar_action = {
+                default_panel: sidePanel.path,
+                ...(sidePanel.config.title && { default_title: sidePanel.config.title }),
+            };
+        } else if (platform.manifestVersion === 3) {
+            properties.side_panel = { default_path: sidePanel.path };
+            permissions.push('sidePanel');
+        } else {
+            warnings.push(`${platform.name} has no side panel in Manifest V2, ${sidePanel.path} is not declared`);
+        }
+    }
+
+    if (devtools) {
+        properties.devtools_page = devtools.path;
+    }
+
+    if (newTab) {
+        properties.chrome_url_overrides = { newtab: newTab.path };
+    }
+
+    return { properties, permissions, warnings };
+}
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for buildtime/extensionPages.js
+ *
+ * Run with: node --test core/buildtime/extensionPages.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { pageManifestEntries } from './extensionPages.js';
+
+const chrome = { name: 'chrome', manifestVersion: 3, engine: 'chromium' };
+const firefox = { name: 'firefox', manifestVersion: 3, engine: 'gecko' };
+
+describe('pageManifestEntries', () => {
+  test('declares pages for Chromium', () => {
+    const result = pageManifestEntries({
+      options: { path: 'options/options.html', config: { openInTab: true } },
+      sidePanel: { path: 'sidepanel/sidepanel.html', config: { title: 'Notes' } },
+      devtools: { path: 'devtools/devtools.html', config: {} },
+      newTab: { path: 'newtab/newtab.html', config: {} },
+    }, chrome);
+
+    assert.deepStrictEqual(result, {
+      properties: {
+        options_ui: { page: 'options/options.html', open_in_tab: true },
+        side_panel: { default_path: 'sidepanel/sidepanel.html' },
+        devtools_page: 'devtools/devtools.html',
+        chrome_url_overrides: { newtab: 'newtab/newtab.html' },
+      },
+      permissions: ['sidePanel'],
+      warnings: [],
+    });
+  });
+
+  test('declares the side panel as a Firefox sidebar', () => {
+    const result = pageManifestEntries({ sidePanel: { path: 'sidepanel/sidepanel.html', config: { title: 'Notes' } } }, firefox);
+
+    assert.deepStrictEqual(result.properties, { sidebar_action: { default_panel: 'sidepanel/sidepanel.html', default_title: 'Notes' } });
+    assert.deepStrictEqual(result.permissions, []);
+  });
+
+  test('warns about side panels on Chromium Manifest V2', () => {
+    const result = pageManifestEntries({ sidePanel: { path: 'sidepanel/sidepanel.html', config: {} } }, { ...chrome, manifestVersion: 2 });
+
+    assert.deepStrictEqual(result.properties, {});
+    assert.deepStrictEqual(result.warnings, ['chrome has no side panel in Manifest V2, sidepanel/sidepanel.html is not declared']);
+  });
+
+  test('turns off Firefox browser styles for Manifest V2 options pages', () => {
+    const options = { options: { path: 'options/options.html', config: {} } };
+
+    assert.deepStrictEqual(pageManifestEntries(options, { ...firefox, manifestVersion: 2 }).properties.options_ui,
+      { page: 'options/options.html', open_in_tab: false, browser_style: false });
+    assert.deepStrictEqual(pageManifestEntries(options, firefox).properties.options_ui,
+      { page: 'options/options.html', open_in_tab: false });
+  });
+});
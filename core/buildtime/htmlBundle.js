@@ -0,0 +1,99 @@
+// Bundling of HTML entrypoints (the popup, options page, ...) given as Bun.HTMLBundle imports
+//
+// Bun bundles the page with its scripts, stylesheets and imported files. The outputs are written
+// to a subdirectory of each platform as Bun laid them out, only the HTML file is renamed after the
+// subdirectory (e.g. popup/popup.html) so the manifest can point to a fixed path.
+
+import path from 'path';
+import { writeOutputFile } from './output.js';
+import { targetPlatforms } from './platforms.js';
+import { bundleOptions } from './bundle.js';
+import { recordApiUsage } from './permissionInference.js';
+import { recordMessageUsage } from './i18n.js';
+
+const REFERENCE_ATTRIBUTE = /(\s(?:src|href)=)(["'])([^"']+)\2/g;
+
+/**
+ * Strip the `./` Bun prefixes output paths with
+ * @param {string} outputPath
+ * @returns {string} The path relative to the bundle root, with `/` separators
+ */
+function bundlePath(outputPath) {
+    return path.posix.normalize(outputPath.split(path.sep).join('/')).replace(/^\.\//, '');
+}
+
+/**
+ * Rewrite the relative references of an HTML file that moves within the bundle
+ * @param {string} html - The HTML content
+ * @param {string} fromPath - Path of the HTML file in the bundle, e.g. `pages/index.html`
+ * @param {string} toPath - Its new path, e.g. `popup.html`
+ * @param {Iterable<string>} outputPaths - Paths of the files in the bundle, only references to them are rewritten
+ * @returns {string}
+ */
+export function relocateHTML(html, fromPath, toPath, outputPaths) {
+    const outputs = new Set(outputPaths);
+    const fromDir = path.posix.dirname(fromPath);
+    const toDir = path.posix.dirname(toPath);
+
+    return html.replace(REFERENCE_ATTRIBUTE, (attribute, prefix, quote, reference) => {
+        // leave absolute URLs, root-relative paths and fragments alone
+        if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(reference)) {
+            return attribute;
+        }
+        const [referencePath, suffix = ''] = reference.split(/(?=[?#])/);
+        let target = path.posix.join(fromDir, referencePath);
+        if (target === fromPath) {
+            target = toPath;
+        } else if (!outputs.has(target)) {
+            return attribute;
+        }
+        const relative = path.posix.relative(toDir, target);
+        return `${prefix}${quote}${relative.startsWith('.') ? relative : `./${relative}`}${suffix}${quote}`;
+    });
+}
+
+/**
+ * Bundle an HTML import into a subdirectory of each platform, the HTML file is named after the directory
+ * @param {{ index: string }} bundle - A Bun.HTMLBundle from an HTML import
+ * @param {import('../../index.js').BuildOptions & { mode: string }} buildContext
+ * @param {string} directory - e.g. `popup`, the page is written to `popup/popup.html`
+ * @returns {Promise<string>} Path of the HTML file relative to the platform directory
+ */
+export async function bundleHTMLEntrypoint(bundle, buildContext, directory) {
+    const { outputDir, platforms } = buildContext;
+    const htmlPath = `${directory}.html`;
+
+    // Bundle the HTML and all its dependencies for each platform, `PLATFORM` is defined per platform
+    for (const platform of targetPlatforms(platforms)) {
+        const buildResult = await Bun.build({
+            entrypoints: [bundle.index],
+            target: 'browser',
+            ...bundleOptions(buildContext, platform),
+        });
+
+        if (!buildResult.success) {
+            throw new Error(`${directory} bundling failed: ${buildResult.logs.map(log => log.message).join(', ')}`);
+        }
+
+        const bundleOutputDir = path.join(outputDir, platform, directory);
+        const outputPaths = buildResult.outputs.map(output => bundlePath(output.path));
+
+        for (const [index, output] of buildResult.outputs.entries()) {
+            const outputPath = outputPaths[index];
+            if (outputPath.endsWith('.html')) {
+                const html = relocateHTML(await output.text(), outputPath, htmlPath, outputPaths);
+                writeOutputFile(path.join(bundleOutputDir, htmlPath), html);
+                continue;
+            }
+
+            // images, fonts and wasm are binary, write the bytes as they are
+            writeOutputFile(path.join(bundleOutputDir, outputPath), new Uint8Array(await output.arrayBuffer()));
+            if (outputPath.endsWith('.js')) {
+                const code = await output.text();
+                recordApiUsage(platform, `${directory}/${outputPath}`, code);
+                recordMessageUsage(platform, `${directory}/${outputPath}`, code);
+            }
+        }
+    }
+    return `${directory}/${htmlPath}`;
+}
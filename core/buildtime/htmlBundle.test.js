@@ -0,0 +1,36 @@
+/**
+ * Unit tests for buildtime/htmlBundle.js
+ *
+ * Run with: node --test core/buildtime/htmlBundle.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { relocateHTML } from './htmlBundle.js';
+
+describe('relocateHTML', () => {
+  const outputs = ['pages/index.html', 'chunk-a1.js', 'chunk-b2.css', 'assets/logo-c3.png'];
+
+  test('keeps references of an HTML file at the bundle root', () => {
+    const html = '<link href="./chunk-b2.css"><script src="./chunk-a1.js"></script>';
+
+    assert.strictEqual(relocateHTML(html, 'index.html', 'popup.html', ['index.html', 'chunk-a1.js', 'chunk-b2.css']), html);
+  });
+
+  test('rewrites references of a moved HTML file', () => {
+    const html = `<link href="../chunk-b2.css"><img src='../assets/logo-c3.png'><script src="../chunk-a1.js?v=1"></script>`;
+
+    assert.strictEqual(relocateHTML(html, 'pages/index.html', 'popup.html', outputs),
+      `<link href="./chunk-b2.css"><img src='./assets/logo-c3.png'><script src="./chunk-a1.js?v=1"></script>`);
+  });
+
+  test('points links to the renamed HTML file', () => {
+    assert.strictEqual(relocateHTML('<a href="./index.html#top">', 'pages/index.html', 'popup.html', outputs), '<a href="./popup.html#top">');
+  });
+
+  test('leaves other references alone', () => {
+    const html = '<a href="https://example.com/x.js"><img src="/icon.png"><a href="#top"><a href="./other.html">';
+
+    assert.strictEqual(relocateHTML(html, 'pages/index.html', 'popup.html', outputs), html);
+  });
+});
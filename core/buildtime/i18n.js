@@ -0,0 +1,224 @@
+// Localization: messages declared per locale in the rc file are written to `_locales/<locale>/messages.json`
+// for every platform, and the keys used by the manifest and the generated code are checked against them.
+
+import path from 'path';
+import { onBuild, onReset } from './lifecycle.js';
+import { writeOutputFile } from './output.js';
+import { targetPlatforms } from './platforms.js';
+
+/**
+ * @typedef {Object} MessageEntry
+ * @property {string} message - The localized text, `$name$` refers to a placeholder
+ * @property {string} [description] - Context for translators
+ * @property {Record<string, { content: string, example?: string }>} [placeholders]
+ */
+
+const MESSAGE_KEY = /^[A-Za-z0-9_]+$/;
+const LOCALE = /^([a-z]{2,3})(?:[_-]([A-Za-z]{2}))?$/;
+const MESSAGE_REFERENCE = /__MSG_(\w+?)__/g;
+const MESSAGE_LOOKUP = /\bi18n\s*\.\s*getMessage\s*\(\s*(['"`])(\w+)\1/g;
+
+/** @type {Map<string, Map<string, MessageEntry>>} */
+const LOCALES = new Map();
+/** @type {string | null} */
+let DEFAULT_LOCALE = null;
+let BUILD_LISTENER_REGISTERED = false;
+
+// Keys looked up with i18n.getMessage() per platform, collected since the last takeMessageUsage() call
+/** @type {Map<string, Map<string, Set<string>>>} */
+const MESSAGE_USAGE = new Map();
+
+onReset.register(() => {
+    LOCALES.clear();
+    DEFAULT_LOCALE = null;
+    BUILD_LISTENER_REGISTERED = false;
+});
+
+/**
+ * Normalize a locale code to the `_locales` directory name browsers expect (`en`, `pt_BR`)
+ * @param {string} locale - e.g. `en`, `pt-BR` or `pt_br`
+ * @returns {string}
+ * @throws {Error} If the code is not a language with an optional region
+ */
+export function normalizeLocale(locale) {
+    const match = LOCALE.exec(locale);
+    if (!match) {
+        throw new Error(`Invalid locale '${locale}', expected a language code like 'en' or 'pt_BR'`);
+    }
+    return match[2] ? `${match[1]}_${match[2].toUpperCase()}` : match[1];
+}
+
+/**
+ * Declare the messages of a locale, merged with messages declared before
+ * @param {string} locale - The locale, e.g. `en` or `pt_BR`
+ * @param {Record<string, string | MessageEntry>} messages - Messages by key, strings are shorthand for `{ message }`
+ * @throws {Error} If a key or message is invalid
+ */
+function addMessages(locale, messages) {
+    const name = normalizeLocale(locale);
+    if (!LOCALES.has(name)) {
+        LOCALES.set(name, new Map());
+    }
+    const entries = LOCALES.get(name);
+    for (const [key, value] of Object.entries(messages)) {
+        if (!MESSAGE_KEY.test(key) || key.startsWith('@@')) {
+            throw new Error(`Invalid message key '${key}' in locale '${name}', keys may only contain letters, digits and underscores`);
+        }
+        const entry = typeof value === 'string' ? { message: value } : value;
+        if (typeof entry?.message !== 'string') {
+            throw new Error(`Message '${key}' in locale '${name}' needs a message string`);
+        }
+        entries.set(key, entry);
+    }
+    registerBuildListener();
+}
+
+/**
+ * The locale browsers fall back to, the first declared locale unless set
+ * @returns {string | null} null if no messages were declared
+ */
+export function getDefaultLocale() {
+    if (LOCALES.size === 0) {
+        return null;
+    }
+    return DEFAULT_LOCALE ?? LOCALES.keys().next().value;
+}
+
+/**
+ * Reference a message from the manifest (or a CSS / HTML file)
+ * @param {string} key - The message key
+ * @returns {string} `__MSG_key__`, replaced by the browser with the message of the user's locale
+ */
+function messageReference(key) {
+    if (!MESSAGE_KEY.test(key)) {
+        throw new Error(`Invalid message key '${key}'`);
+    }
+    return `__MSG_${key}__`;
+}
+
+/**
+ * Build the messages.json content of a locale
+ * @param {string} locale - A declared locale
+ * @returns {Record<string, MessageEntry>}
+ */
+export function localeMessages(locale) {
+    return Object.fromEntries(LOCALES.get(locale) ?? []);
+}
+
+function registerBuildListener() {
+    if (BUILD_LISTENER_REGISTERED) {
+        return;
+    }
+    BUILD_LISTENER_REGISTERED = true;
+    onBuild.register(({ outputDir, platforms }) => {
+        for (const platform of targetPlatforms(platforms)) {
+            for (const locale of LOCALES.keys()) {
+                const filePath = path.join(outputDir, platform, '_locales', locale, 'messages.json');
+                writeOutputFile(filePath, JSON.stringify(localeMessages(locale), null, 2));
+            }
+        }
+    });
+}
+
+/**
+ * Record the messages a script written for a platform looks up with `i18n.getMessage()`
+ * @param {string} platform - The platform name
+ * @param {string} file - Path of the script relative to the platform directory
+ * @param {string} code - The final (bundled) code
+ */
+export function recordMessageUsage(platform, file, code) {
+    if (!MESSAGE_USAGE.has(platform)) {
+        MESSAGE_USAGE.set(platform, new Map());
+    }
+    const platformUsage = MESSAGE_USAGE.get(platform);
+    for (const [, , key] of code.matchAll(MESSAGE_LOOKUP)) {
+        if (!platformUsage.has(key)) {
+            platformUsage.set(key, new Set());
+        }
+        platformUsage.get(key).add(file);
+    }
+}
+
+/**
+ * Return the usage recorded since the last call and start recording from scratch
+ * @returns {Map<string, Map<string, Set<string>>>} Files by message key, per platform
+ */
+export function takeMessageUsage() {
+    const result = new Map(MESSAGE_USAGE);
+    MESSAGE_USAGE.clear();
+    return result;
+}
+
+/**
+ * Check the declared locales against the messages a platform uses
+ * @param {Record<string, any>} manifest - The manifest of the platform, its `__MSG_key__` references are used keys
+ * @param {Map<string, Set<string>>} [usage] - Keys looked up by the platform's scripts, with the files using them
+ * @returns {Array<{ path: string, message: string }>} Issues in the format of manifest validation issues
+ */
+export function validateMessages(manifest, usage = new Map()) {
+    const issues = [];
+    const used = new Map(Array.from(usage, ([key, files]) => [key, new Set(files)]));
+    for (const [, key] of JSON.stringify(manifest).matchAll(MESSAGE_REFERENCE)) {
+        if (!used.has(key)) {
+            used.set(key, new Set());
+        }
+        used.get(key).add('manifest.json');
+    }
+
+    const defaultLocale = getDefaultLocale();
+    if (defaultLocale === null) {
+        if (used.size > 0) {
+            const keys = Array.from(used.keys()).map(key => `'${key}'`).join(', ');
+            issues.push({ path: 'default_locale', message: `No locale declares messages but ${keys} ${used.size > 1 ? 'are' : 'is'} used` });
+        }
+        return issues;
+    }
+    if (!LOCALES.has(defaultLocale)) {
+        issues.push({ path: 'default_locale', message: `The default locale '${defaultLocale}' declares no messages` });
+        return issues;
+    }
+
+    for (const [locale, messages] of LOCALES) {
+        for (const [key, files] of used) {
+            if (!messages.has(key)) {
+                issues.push({
+                    path: `_locales/${locale}/messages.json`,
+                    message: `Missing message '${key}' used by ${Array.from(files).join(', ')}`,
+                });
+            }
+        }
+        if (locale !== defaultLocale) {
+            for (const key of LOCALES.get(defaultLocale).keys()) {
+                if (!messages.has(key) && !used.has(key)) {
+                    issues.push({ path: `_locales/${locale}/messages.json`, message: `Missing message '${key}' of the default locale '${defaultLocale}'` });
+                }
+            }
+        }
+    }
+    return issues;
+}
+
+// public API, imported in the browserrc file as `import { i18n } from 'browserrc'`
+export default {
+    messages: addMessages,
+    message: messageReference,
+
+    /**
+     * The locale browsers fall back to (`default_locale`), the first declared locale unless set
+     */
+    get defaultLocale() {
+        return getDefaultLocale();
+    },
+
+    set defaultLocale(locale) {
+        DEFAULT_LOCALE = normalizeLocale(locale);
+    },
+
+    /**
+     * The declared locales
+     * @returns {string[]}
+     */
+    get locales() {
+        return Array.from(LOCALES.keys());
+    },
+};
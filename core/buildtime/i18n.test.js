@@ -0,0 +1,118 @@
+/**
+ * Unit tests for buildtime/i18n.js
+ *
+ * Run with: node --test core/buildtime/i18n.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import i18n, { normalizeLocale, recordMessageUsage, takeMessageUsage, validateMessages } from './i18n.js';
+import { onBuild, onReset } from './lifecycle.js';
+
+describe('i18n', () => {
+  afterEach(() => {
+    onReset.trigger();
+    onBuild.clear();
+    takeMessageUsage();
+  });
+
+  test('normalizes locale codes', () => {
+    assert.strictEqual(normalizeLocale('en'), 'en');
+    assert.strictEqual(normalizeLocale('pt-BR'), 'pt_BR');
+    assert.strictEqual(normalizeLocale('pt_br'), 'pt_BR');
+    assert.throws(() => normalizeLocale('english'), /Invalid locale 'english'/);
+  });
+
+  test('merges messages and defaults to the first locale', () => {
+    i18n.messages('en', { name: 'My extension' });
+    i18n.messages('de', { name: 'Meine Erweiterung' });
+    i18n.messages('en', { greeting: { message: 'Hello $USER$', placeholders: { user: { content: '$1' } } } });
+
+    assert.deepStrictEqual(i18n.locales, ['en', 'de']);
+    assert.strictEqual(i18n.defaultLocale, 'en');
+    i18n.defaultLocale = 'de';
+    assert.strictEqual(i18n.defaultLocale, 'de');
+  });
+
+  test('rejects invalid keys and messages', () => {
+    assert.throws(() => i18n.messages('en', { 'my-key': 'x' }), /Invalid message key 'my-key'/);
+    assert.throws(() => i18n.messages('en', { key: { description: 'no message' } }), /needs a message string/);
+    assert.throws(() => i18n.message('a b'), /Invalid message key/);
+  });
+
+  test('references messages with __MSG_key__', () => {
+    assert.strictEqual(i18n.message('extensionName'), '__MSG_extensionName__');
+  });
+
+  test('writes messages.json for each locale and platform', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-i18n-'));
+    try {
+      i18n.messages('en', { name: 'Hello', description: { message: 'Says hello', description: 'Store listing' } });
+      i18n.messages('de', { name: 'Hallo', description: 'Sagt hallo' });
+
+      await onBuild.triggerAsync({ outputDir, platforms: { chrome: true, firefox: true } });
+
+      for (const platform of ['chrome', 'firefox']) {
+        const english = JSON.parse(fs.readFileSync(path.join(outputDir, platform, '_locales', 'en', 'messages.json'), 'utf8'));
+        assert.deepStrictEqual(english, { name: { message: 'Hello' }, description: { message: 'Says hello', description: 'Store listing' } });
+        assert.ok(fs.existsSync(path.join(outputDir, platform, '_locales', 'de', 'messages.json')));
+      }
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('recordMessageUsage', () => {
+  test('records keys looked up with i18n.getMessage', () => {
+    recordMessageUsage('chrome', 'background.js', `chrome.i18n.getMessage("greeting"); browser.i18n.getMessage('farewell', [name]);`);
+    recordMessageUsage('chrome', 'popup/popup.js', 'chrome.i18n.getMessage(`greeting`); getMessage("ignored")');
+
+    const usage = takeMessageUsage();
+    assert.deepStrictEqual(Array.from(usage.get('chrome').keys()), ['greeting', 'farewell']);
+    assert.deepStrictEqual(Array.from(usage.get('chrome').get('greeting')), ['background.js', 'popup/popup.js']);
+    assert.strictEqual(takeMessageUsage().size, 0);
+  });
+});
+
+describe('validateMessages', () => {
+  afterEach(() => {
+    onReset.trigger();
+    onBuild.clear();
+  });
+
+  test('accepts manifests without messages', () => {
+    assert.deepStrictEqual(validateMessages({ name: 'Plain' }), []);
+  });
+
+  test('reports references without any locale', () => {
+    assert.deepStrictEqual(validateMessages({ name: '__MSG_name__' }), [
+      { path: 'default_locale', message: `No locale declares messages but 'name' is used` },
+    ]);
+  });
+
+  test('reports keys a locale is missing', () => {
+    i18n.messages('en', { name: 'Hello', greeting: 'Hi', tooltip: 'Click' });
+    i18n.messages('de', { name: 'Hallo' });
+
+    const usage = new Map([['greeting', new Set(['background.js'])]]);
+    assert.deepStrictEqual(validateMessages({ name: '__MSG_name__', action: { default_title: '__MSG_title__' } }, usage), [
+      { path: '_locales/en/messages.json', message: `Missing message 'title' used by manifest.json` },
+      { path: '_locales/de/messages.json', message: `Missing message 'greeting' used by background.js` },
+      { path: '_locales/de/messages.json', message: `Missing message 'title' used by manifest.json` },
+      { path: '_locales/de/messages.json', message: `Missing message 'tooltip' of the default locale 'en'` },
+    ]);
+  });
+
+  test('reports a default locale without messages', () => {
+    i18n.messages('en', { name: 'Hello' });
+    i18n.defaultLocale = 'fr';
+
+    assert.deepStrictEqual(validateMessages({ name: '__MSG_name__' }), [
+      { path: 'default_locale', message: `The default locale 'fr' declares no messages` },
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+// Names of the functions generated into the background script for ids of the rc file (context menu
+// items, alarms, runtime content scripts). Ids may contain characters identifiers cannot, so they are
+// replaced, and ids that end up with the same name (`copy-link` and `copy_link`) get a numbered suffix.
+
+import { onReset } from './lifecycle.js';
+
+// generated names by prefix and id, and every name handed out
+const IDENTIFIERS = new Map();
+const USED_IDENTIFIERS = new Set();
+
+onReset.register(() => {
+    IDENTIFIERS.clear();
+    USED_IDENTIFIERS.clear();
+});
+
+/**
+ * The identifier for an id, the same for every call with the same prefix and id
+ * @param {string} prefix - e.g. `handleAlarm`
+ * @param {string} id
+ * @returns {string} `<prefix>_<id>` with invalid characters replaced by `_`, e.g. `handleAlarm_daily_sync`
+ */
+export function uniqueIdentifier(prefix, id) {
+    const key = JSON.stringify([prefix, id]);
+    if (IDENTIFIERS.has(key)) {
+        return IDENTIFIERS.get(key);
+    }
+    const base = `${prefix}_${id.replace(/[^A-Za-z0-9_$]/g, '_')}`;
+    let identifier = base;
+    for (let suffix = 2; USED_IDENTIFIERS.has(identifier); suffix++) {
+        identifier = `${base}_${suffix}`;
+    }
+    IDENTIFIERS.set(key, identifier);
+    USED_IDENTIFIERS.add(identifier);
+    return identifier;
+}
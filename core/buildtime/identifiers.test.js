@@ -0,0 +1,35 @@
+/**
+ * Unit tests for buildtime/identifiers.js
+ *
+ * Run with: node --test core/buildtime/identifiers.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { uniqueIdentifier } from './identifiers.js';
+import { onReset } from './lifecycle.js';
+
+afterEach(() => {
+  onReset.trigger();
+});
+
+describe('uniqueIdentifier', () => {
+  test('replaces characters identifiers cannot contain', () => {
+    assert.strictEqual(uniqueIdentifier('handleAlarm', 'daily-sync'), 'handleAlarm_daily_sync');
+    assert.strictEqual(uniqueIdentifier('handleAlarm', 'daily-sync'), 'handleAlarm_daily_sync');
+    assert.strictEqual(uniqueIdentifier('handleAlarm', 'copy.as$md'), 'handleAlarm_copy_as$md');
+  });
+
+  test('numbers ids that end up with the same name', () => {
+    assert.strictEqual(uniqueIdentifier('handleContextMenu', 'copy-link'), 'handleContextMenu_copy_link');
+    assert.strictEqual(uniqueIdentifier('handleContextMenu', 'copy_link'), 'handleContextMenu_copy_link_2');
+    assert.strictEqual(uniqueIdentifier('handleContextMenu', 'copy_link_2'), 'handleContextMenu_copy_link_2_2');
+    assert.strictEqual(uniqueIdentifier('handleContextMenu', 'copy-link'), 'handleContextMenu_copy_link');
+  });
+
+  test('starts over after a reset', () => {
+    uniqueIdentifier('handleContextMenu', 'copy-link');
+    onReset.trigger();
+    assert.strictEqual(uniqueIdentifier('handleContextMenu', 'copy_link'), 'handleContextMenu_copy_link');
+  });
+});
@@ -1,26 +1,91 @@
 // Entrypoint for browserrc build plugin
 
-import { Hook } from "../hooks.js";
+import { BUILD_HOOKS, onAfterBuild, onBeforeBuild, onBeforeManifest, onBuild, onPlatformBuild, onReset } from "./lifecycle.js";
 import { buildManifests } from "./manifest.ts";
+import { takeEmittedFiles } from "./output.js";
+import { getBackgroundCodeFile } from "./background.js";
+import { packageBuild } from "./archive.js";
+import { resolvePlatforms, targetPlatforms } from "./platforms.js";
+import { resolveMode } from "./bundle.js";
+import { takeApiUsage } from "./permissionInference.js";
+import { takeMessageUsage } from "./i18n.js";
 import nodePath from 'path';
+import fs from 'fs';
 
 /**
- * @type BuildPlatform = 'chrome' | 'firefox'
- * @type BuildPlatforms = { chrome: true } | { firefox: true } | { chrome: true, firefox: true }
+ * @type BuildPlatform = string - The name of a registered platform, 'chrome' and 'firefox' are built in
+ * @type BuildPlatforms = Partial<Record<BuildPlatform, boolean>>
  */
 
-export const onBuild = new Hook('onBuild', 'Called when the browserrc plugin is built');
+/**
+ * @typedef {Object} BuildReportFile
+ * @property {string} path - Path relative to the platform output directory
+ * @property {number} size - Size in bytes
+ * @property {boolean} changed - Whether the content on disk changed with this build
+ */
+
+/**
+ * @typedef {Object} BuildReport
+ * @property {string} outputDir - The output directory
+ * @property {number} duration - Build duration in milliseconds
+ * @property {Record<string, { outputDir: string, files: BuildReportFile[] }>} platforms - Files emitted per platform
+ * @property {Record<string, string>} [archives] - Archive path per platform, when the build was packaged
+ */
+
+export { onBeforeBuild, onBuild, onPlatformBuild, onBeforeManifest, onAfterBuild, onReset };
+
+/**
+ * Reset all framework state so the rc file can be evaluated again in the same process.
+ *
+ * Drops every build hook listener and lets each buildtime module clear its own state through onReset.
+ */
+export function resetBuildState() {
+    BUILD_HOOKS.forEach(hook => hook.clear());
+    onReset.trigger();
+}
+
+/**
+ * Describe the emitted files that live below a platform output directory
+ * @param {string} dir - The platform output directory
+ * @param {{ emitted: Set<string>, changed: Set<string> }} outputs - Absolute paths written by the build
+ * @returns {BuildReportFile[]}
+ */
+function describeOutputFiles(dir, { emitted, changed }) {
+    const resolvedDir = nodePath.resolve(dir);
+    return Array.from(emitted)
+        .filter(filePath => filePath.startsWith(resolvedDir + nodePath.sep))
+        .map(filePath => ({
+            path: nodePath.relative(resolvedDir, filePath).split(nodePath.sep).join('/'),
+            size: fs.statSync(filePath).size,
+            changed: changed.has(filePath),
+        }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
 
 /**
  * Build the extension for one or more platforms.
  * @param {BuildOptions} options - The build options
- * @param {BuildPlatforms} options.platforms - The platforms to build for
+ * @param {BuildPlatforms} [options.platforms] - The platforms to build for, every registered platform if omitted
  * @param {string} [options.rcpath] - The path to the rc file
  * @param {string} options.outputDir - The output directory
- * @returns {Promise<void>}
+ * @param {'development' | 'production'} [options.mode='production'] - Development builds keep debug segments and
+ *   get external source maps, production builds are minified
+ * @param {Record<string, any>} [options.defines] - Identifiers replaced with these values (as JSON literals) in every
+ *   script, `PLATFORM` is always the platform the script is bundled for
+ * @param {boolean} [options.strict=false] - Fail the build when a manifest does not validate, instead of warning
+ * @param {boolean} [options.inferPermissions=false] - Add the permissions of the extension APIs the generated code uses
+ *   to the manifest, instead of reporting them as missing
+ * @param {boolean | { nameFromManifest?: boolean }} [options.package] - Also package each platform into a zip (xpi for Firefox) archive
+ * @param {{ port: number }} [options.liveReload] - Inject the live reload client connecting to this port (development only)
+ * @returns {Promise<BuildReport>} What was written for each platform
  */
 export async function build(options) {
-    const { platforms, rcpath, outputDir } = options;
+    const { rcpath, outputDir } = options;
+    const mode = resolveMode(options.mode);
+    const startTime = Date.now();
+    takeEmittedFiles();
+    takeApiUsage();
+    takeMessageUsage();
 
     // Run the user's rc file
     // Some extensions might call build() directly in their own code, in which case they won't have a
@@ -29,10 +94,46 @@ export async function build(options) {
         const resolvedPath = nodePath.isAbsolute(rcpath) ? rcpath : nodePath.resolve(process.cwd(), rcpath);
         const userModule = await import(`file://${resolvedPath}`);
         console.debug('User module: ', userModule);
-        // Not doing anything with it yet, but we have access to the default exports 
+        // Not doing anything with it yet, but we have access to the default exports
         // This could be used for some features.
     }
 
-    await onBuild.trigger(options);
-    buildManifests(outputDir, platforms);
-}
\ No newline at end of file
+    // The live reload client is only injected in development builds, it lives in the background script,
+    // which is written even when the rc file adds no background code
+    const liveReload = mode === 'development' ? options.liveReload : undefined;
+    if (liveReload) {
+        getBackgroundCodeFile();
+    }
+
+    // Resolved after running the rc file, which may register additional platforms
+    const platforms = resolvePlatforms(options.platforms);
+    const buildContext = { ...options, platforms, mode, liveReload };
+
+    await onBeforeBuild.triggerAsync(buildContext);
+    // Listeners may be async (e.g. popup bundling), wait for all of them before writing manifests
+    await onBuild.triggerAsync(buildContext);
+    for (const platform of targetPlatforms(platforms)) {
+        await onPlatformBuild.triggerAsync(platform, buildContext);
+    }
+    await buildManifests(outputDir, platforms, {
+        strict: options.strict,
+        inferPermissions: options.inferPermissions,
+        apiUsage: takeApiUsage(),
+        messageUsage: takeMessageUsage(),
+    });
+    const outputs = takeEmittedFiles();
+
+    /** @type {BuildReport} */
+    const report = { outputDir, duration: Date.now() - startTime, platforms: {} };
+    for (const platform of targetPlatforms(platforms)) {
+        const platformOutputDir = nodePath.join(outputDir, platform);
+        report.platforms[platform] = { outputDir: platformOutputDir, files: describeOutputFiles(platformOutputDir, outputs) };
+    }
+
+    if (options.package) {
+        report.archives = packageBuild(report, options.package === true ? {} : options.package);
+    }
+
+    await onAfterBuild.triggerAsync(report, buildContext);
+    return report;
+}
@@ -0,0 +1,37 @@
+// Build lifecycle hooks
+//
+// Kept in their own module so that buildtime modules can register listeners at load time
+// without running into the circular import between index.js and manifest.ts.
+//
+// A build runs the phases in this order:
+//   onBeforeBuild(context) -> onBuild(context) -> onPlatformBuild(platform, context) for each platform
+//   -> onBeforeManifest(manifest, platform) for each platform -> onAfterBuild(report, context)
+// Listeners may be async and are awaited one after another. A failing listener fails the build.
+
+import { Hook } from "../hooks.js";
+
+// Called once the rc file ran and the target platforms are known, before anything is written
+export const onBeforeBuild = new Hook('onBeforeBuild', 'Called before any build output is written', { collectErrors: true });
+
+export const onBuild = new Hook('onBuild', 'Called when the browserrc plugin is built', { collectErrors: true });
+
+// Called with the platform name, after every onBuild listener finished
+export const onPlatformBuild = new Hook('onPlatformBuild', 'Called for each platform being built', { collectErrors: true });
+
+// Listeners may mutate the manifest object, it is written once they all finished
+export const onBeforeManifest = new Hook('onBeforeManifest', 'Called with the manifest of each platform before it is written', { collectErrors: true });
+
+// Called with the build report once every file was written (and packaged)
+export const onAfterBuild = new Hook('onAfterBuild', 'Called when the build finished', { collectErrors: true });
+
+/**
+ * Hooks registered from the rc file or by framework APIs while it runs, dropped before each rebuild
+ */
+export const BUILD_HOOKS = [onBeforeBuild, onBuild, onPlatformBuild, onBeforeManifest, onAfterBuild];
+
+/**
+ * Framework modules register here to drop their module-level state (manifest entries,
+ * the background CodeFile, ...) so the rc file can be evaluated again in the same process.
+ * Listeners are registered once at module load and are never cleared.
+ */
+export const onReset = new Hook('onReset', 'Called when framework state is reset before a rebuild');
@@ -0,0 +1,92 @@
+import path from 'path';
+import { CodeFile } from './code.js';
+
+export const DEFAULT_LIVE_RELOAD_PORT = 35729;
+
+// Idle MV3 service workers are stopped after 30 seconds, websocket traffic keeps them alive
+const KEEPALIVE_INTERVAL = 20_000;
+
+/**
+ * Wrap a CodeFile with the live reload client for its environment.
+ *
+ * The original CodeFile is left untouched, so the client never leaks into builds without live reload.
+ *
+ * @param {CodeFile} codeFile - The background script or content script being written
+ * @param {'background' | 'content'} environment - Where the code runs
+ * @param {{ port: number }} liveReload - The live reload options of the build
+ * @returns {CodeFile} A new CodeFile with the client appended
+ */
+export function withLiveReloadClient(codeFile, environment, { port }) {
+    const client = new CodeFile()
+        .includeFileContent(path.join(__dirname, '..', '..', 'resources', 'segments', environment, 'liveReload.hbs'))
+        .renderTemplate({ port, relPath: JSON.stringify(codeFile.relPath) });
+
+    const wrapped = new CodeFile({ relPath: codeFile.relPath })
+        .includeSegment(codeFile)
+        .includeSegment(client);
+    wrapped.onPreBundleHook = codeFile.onPreBundleHook;
+    return wrapped;
+}
+
+/**
+ * List the paths (relative to their platform directory) of every output a build changed
+ * @param {import('./index.js').BuildReport} report
+ * @returns {string[]}
+ */
+function changedOutputs(report) {
+    const files = new Set();
+    for (const { files: platformFiles } of Object.values(report.platforms)) {
+        platformFiles.filter(file => file.changed).forEach(file => files.add(file.path));
+    }
+    return Array.from(files);
+}
+
+/**
+ * Start the websocket server the live reload clients connect to.
+ *
+ * Pass `liveReload: { port }` in the build options to inject the clients, and call `notify()`
+ * with the report of each rebuild: the extension reloads itself and tabs running a changed
+ * content script are refreshed.
+ *
+ * @param {{ port?: number }} [options={}]
+ * @returns {{ port: number, notify: (report: import('./index.js').BuildReport) => boolean, stop: () => void }}
+ */
+export function startLiveReloadServer({ port = DEFAULT_LIVE_RELOAD_PORT } = {}) {
+    const server = Bun.serve({
+        port,
+        fetch(request, server) {
+            if (server.upgrade(request)) {
+                return;
+            }
+            return new Response('browserrc live reload server', { status: 426 });
+        },
+        websocket: {
+            open(socket) {
+                socket.subscribe('reload');
+            },
+            message() {},
+        },
+    });
+
+    const keepalive = setInterval(() => {
+        server.publish('reload', JSON.stringify({ type: 'ping' }));
+    }, KEEPALIVE_INTERVAL);
+
+    return {
+        port: server.port,
+
+        notify(report) {
+            const files = changedOutputs(report);
+            if (files.length === 0) {
+                return false;
+            }
+            server.publish('reload', JSON.stringify({ type: 'reload', files }));
+            return true;
+        },
+
+        stop() {
+            clearInterval(keepalive);
+            server.stop(true);
+        },
+    };
+}
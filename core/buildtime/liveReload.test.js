@@ -0,0 +1,65 @@
+/**
+ * Tests for buildtime/liveReload.js, the server needs Bun
+ *
+ * Run with: bun test ./core/buildtime/liveReload.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { CodeFile } from './code.js';
+import { startLiveReloadServer, withLiveReloadClient } from './liveReload.js';
+
+describe('withLiveReloadClient', () => {
+  test('appends the client to a copy and leaves the original untouched', () => {
+    const listener = () => {};
+    const original = new CodeFile({ relPath: 'content/main.js' }).addLine('run();').onPreBundle(listener);
+    const originalCode = original.code;
+
+    const wrapped = withLiveReloadClient(original, 'content', { port: 4000 });
+
+    assert.notStrictEqual(wrapped, original);
+    assert.strictEqual(wrapped.relPath, 'content/main.js');
+    assert.match(wrapped.code, /^run\(\);/);
+    assert.match(wrapped.code, /new WebSocket\('ws:\/\/localhost:4000'\)/);
+    assert.match(wrapped.code, /const contentScript = "content\/main\.js";/);
+    assert.strictEqual(wrapped.onPreBundleHook, original.onPreBundleHook);
+    assert.strictEqual(original.code, originalCode);
+    assert.doesNotMatch(original.code, /WebSocket/);
+  });
+});
+
+describe('startLiveReloadServer', () => {
+  const reportOf = (files) => ({
+    outputDir: 'dist',
+    duration: 0,
+    platforms: {
+      chrome: { outputDir: 'dist/chrome', files },
+      firefox: { outputDir: 'dist/firefox', files },
+    },
+  });
+
+  test('notifies clients of changed outputs only', async () => {
+    const server = startLiveReloadServer({ port: 0 });
+    try {
+      const socket = new WebSocket(`ws://localhost:${server.port}`);
+      await new Promise((resolve, reject) => {
+        socket.addEventListener('open', resolve);
+        socket.addEventListener('error', reject);
+      });
+      const messages = [];
+      socket.addEventListener('message', (event) => messages.push(JSON.parse(event.data)));
+
+      assert.strictEqual(server.notify(reportOf([{ path: 'background.js', size: 1, changed: false }])), false);
+      assert.strictEqual(server.notify(reportOf([
+        { path: 'background.js', size: 1, changed: false },
+        { path: 'content/main.js', size: 1, changed: true },
+      ])), true);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.deepStrictEqual(messages, [{ type: 'reload', files: ['content/main.js'] }]);
+      socket.close();
+    } finally {
+      server.stop();
+    }
+  });
+});
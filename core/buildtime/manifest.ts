@@ -1,30 +1,64 @@
 import { JSONFile } from "./code.js";
-import type { ActionConfig, BuildOptions } from "../../index.js";
+import type { ActionConfig, BuildOptions, CommandConfig, ExtensionPage, OptionsConfig, SidePanelConfig } from "../../index.js";
 import type { Permission, ManifestPermission, ManifestAction } from "../../index.js";
 import { onBuild } from "./index.js";
+import { onBeforeBuild, onBeforeManifest, onReset } from "./lifecycle.js";
 import background, { BACKGROUND_CODE_FILE } from "./background.js";
+import { getPlatform, targetPlatforms } from "./platforms.js";
+import { toManifestV2 } from "./manifestV2.js";
+import { captureCallSite, formatIssue, isHostPermission, validateManifest, type ManifestIssue } from "./manifestValidation.js";
+import { bundleHTMLEntrypoint } from "./htmlBundle.js";
+import { comparePermissions, type ApiUsage } from "./permissionInference.js";
+import { getDefaultLocale, validateMessages } from "./i18n.js";
+import { buildCommands, commandRoutingCode, handlerName, SHORTCUT_RULES } from "./commands.js";
+import { webAccessibleAssets } from "./assets.js";
+import { netRequestManifestEntries } from "./netRequest.js";
+import { contextMenuPermissions } from "./contextMenuItems.js";
+import { alarmPermissions } from "./alarms.js";
+import { settingsPermissions } from "./settingsSchema.js";
+import { buildContentScriptEntry, contentScriptsForPlatform } from "./contentScriptEntries.js";
+import { runtimeContentScriptEntries } from "./runtimeContentScripts.js";
+import { PAGE_DIRECTORIES, PAGE_MANIFEST_KEYS, pageManifestEntries, type PageKind } from "./extensionPages.js";
+import { HTMLCodeFile } from "../codegen/html/htmlCodegen.js";
 import path from "path";
-import fs from "fs";
 
 
+interface BuildManifestsOptions {
+    /** Fail instead of warning when a manifest does not validate */
+    strict?: boolean;
+    /** Add the permissions the generated code uses to the manifest instead of reporting them as missing */
+    inferPermissions?: boolean;
+    /** API usage of the scripts written per platform, from takeApiUsage() */
+    apiUsage?: Map<string, Map<string, ApiUsage>>;
+    /** Messages the scripts written per platform look up, from takeMessageUsage() */
+    messageUsage?: Map<string, Map<string, Set<string>>>;
+}
+
+type PageConfig = { page: ExtensionPage, openInTab?: boolean, title?: string };
+
 interface ContentScriptEntry {
     matches: string[];
-    js: string[];
+    exclude_matches?: string[];
+    include_globs?: string[];
+    exclude_globs?: string[];
+    js?: string[];
+    css?: string[];
     run_at: 'document_start' | 'document_end' | 'document_idle';
     all_frames: boolean;
+    match_about_blank?: boolean;
+    world?: 'ISOLATED' | 'MAIN';
 }
 
-interface ContentScriptOptions {
-    matches?: string[];
-    run_at?: 'document_start' | 'document_end' | 'document_idle';
-    all_frames?: boolean;
-    platforms?: { chrome?: true; firefox?: true };
-    js: string[];
+interface ContentScriptOptions extends Partial<ContentScriptEntry> {
+    platforms?: Record<string, boolean>;
 }
 
 export interface ExtendedJSONFile extends JSONFile {
-    content_scripts: ContentScriptEntry[];
+    content_scripts?: ContentScriptEntry[];
     permissions?: ManifestPermission[];
+    optional_permissions?: ManifestPermission[];
+    host_permissions?: string[];
+    optional_host_permissions?: string[];
     manifest_version?: number;
     version?: string;
     name?: string;
@@ -35,6 +69,7 @@ export interface ExtendedJSONFile extends JSONFile {
         scripts?: string[];
         page?: string;
     };
+    browser_specific_settings?: Record<string, any>;
 }
 
 export function generateDefaultName(): string {
@@ -66,83 +101,171 @@ export function generateDefaultName(): string {
 }
 
 export const DEFAULT_VERSION = '0.0.1';
-export const DEFAULT_DESCRIPTION = "A browser extension that nobody thought was important enough to write a description for, but is programmed using an awesome framework called browserrc";
+// at most 132 characters, the limit of the Chrome Web Store
+export const DEFAULT_DESCRIPTION = "A browser extension that nobody thought was important enough to describe, but it is built with an awesome framework called browserrc";
 
-// internal manifest files state
-const MANIFESTS: Record<string, ExtendedJSONFile> = {
-    chrome: Object.assign(new JSONFile('chrome/manifest.json'), { content_scripts: [], permissions: [] }),
-    firefox: Object.assign(new JSONFile('firefox/manifest.json'), { content_scripts: [], permissions: [] }),
-};
+// internal content scripts state, `platforms` restricts an entry to some platforms
+let CONTENT_SCRIPTS: Array<{ entry: ContentScriptEntry; platforms?: Record<string, boolean>; source?: string }> = [];
+
+// rc file locations manifest keys were set at, reported with validation issues
+const SOURCES: Map<string, string> = new Map();
+
+function recordSource(key: string) {
+    const source = captureCallSite();
+    if (source) {
+        SOURCES.set(key, source);
+    }
+}
 
-// internal permissions state
+// name, version and description are accessors so their call sites can be recorded
+const VALUES = { name: generateDefaultName(), version: DEFAULT_VERSION, description: DEFAULT_DESCRIPTION };
+
+// internal permissions state, API and host permissions are split per platform when the manifest is built
 const PERMISSIONS: Set<ManifestPermission> = new Set();
+const OPTIONAL_PERMISSIONS: Set<ManifestPermission> = new Set();
+
+// manifest keys built from PERMISSIONS and OPTIONAL_PERMISSIONS, values passed to manifest.assign() are merged in
+const PERMISSION_KEYS = ['permissions', 'host_permissions', 'optional_permissions', 'optional_host_permissions'];
+
+/**
+ * Split permissions into API permissions and host permissions (match patterns)
+ */
+function splitPermissions(permissions: Iterable<string>): [string[], string[]] {
+    const all = Array.from(new Set(permissions));
+    return [all.filter(permission => !isHostPermission(permission)), all.filter(isHostPermission)];
+}
 
 // internal action state
 let ACTION_CONFIG: ActionConfig | null = null;
 
+// internal extension pages state (options page, side panel, ...), the page path is known once the page was written
+const PAGES: Map<PageKind, { config: PageConfig, path: string | null }> = new Map();
+
+// internal commands state, keys are converted to each platform's suggested_key format when the manifest is built
+let COMMANDS: Record<string, CommandConfig> = {};
+let COMMAND_HANDLERS_REGISTERED = false;
+
+function isHTMLBundle(page: unknown): page is Bun.HTMLBundle {
+    return typeof page === 'object' && page !== null && 'index' in page;
+}
+
 /**
- * Handle popup bundling for Bun.HTMLBundle objects
+ * Add the onCommand handlers of the commands to the background script
  */
-async function handlePopupBundling(popup: Bun.HTMLBundle, buildContext: BuildOptions) {
-    const { outputDir, platforms } = buildContext;
-
-    // Use Bun to bundle the HTML and all its dependencies
-    const buildResult = await Bun.build({
-        entrypoints: [popup.index],
-        target: 'browser',
-        minify: false,
+function addCommandHandlers() {
+    const names = Object.keys(COMMANDS).filter(name => COMMANDS[name].onCommand);
+    if (names.length === 0) {
+        return;
+    }
+    for (const name of names) {
+        background.code.includeFunction(COMMANDS[name].onCommand!, handlerName(name));
+    }
+    background.code.addBlock(commandRoutingCode(names));
+}
+
+/**
+ * Register an extension page, it is written in the onBuild phase
+ */
+function setExtensionPage(kind: PageKind, config: PageConfig | ExtensionPage) {
+    recordSource(PAGE_MANIFEST_KEYS[kind]);
+    const pageConfig = (typeof config === 'object' && config !== null && 'page' in config ? config : { page: config }) as PageConfig;
+    if (!pageConfig.page) {
+        throw new Error(`The ${kind} page must be an HTML import (e.g., import page from "./page.html"), an html() file or JSX content.`);
+    }
+    if (PAGES.has(kind)) {
+        throw new Error(`The ${kind} page can only be set once.`);
+    }
+    const state: { config: PageConfig, path: string | null } = { config: pageConfig, path: null };
+    PAGES.set(kind, state);
+
+    onBuild.register(async (buildContext) => {
+        state.path = await writeExtensionPage(pageConfig.page, buildContext, PAGE_DIRECTORIES[kind]);
     });
+}
 
-    if (!buildResult.success) {
-        throw new Error(`Popup bundling failed: ${buildResult.logs.map(log => log.message).join(', ')}`);
+/**
+ * Write an extension page given as an HTML import, an html() file or JSX / string content
+ * @returns The path of the page relative to the platform directory
+ */
+async function writeExtensionPage(page: ExtensionPage, buildContext: BuildOptions, directory: string): Promise<string> {
+    if (isHTMLBundle(page)) {
+        return bundleHTMLEntrypoint(page, buildContext, directory);
     }
 
-    // Write all output files to popup subdirectory
-    for (const platform of ['chrome', 'firefox']) {
-        if (platforms?.[platform]) {
-            const popupOutputDir = path.join(outputDir, platform, 'popup');
-
-            for (const output of buildResult.outputs) {
-                const content = await output.text();
-                let outputFilename: string;
-
-                if (output.path.endsWith('.html')) {
-                    // Always name the HTML file as popup.html
-                    outputFilename = 'popup.html';
-                } else {
-                    // Keep original names for other assets (JS, CSS chunks)
-                    outputFilename = path.basename(output.path);
-                }
-
-                const outputPath = path.join(popupOutputDir, outputFilename);
-                fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-                fs.writeFileSync(outputPath, content);
-            }
-        }
+    const content = await page;
+    // html() writes its file itself
+    if (content instanceof HTMLCodeFile) {
+        return content.relPath;
     }
+    const codeFile = new HTMLCodeFile({ relPath: `${directory}/${directory}.html`, htmlContent: content });
+    for (const platform of targetPlatforms(buildContext.platforms)) {
+        codeFile.write(path.join(buildContext.outputDir, platform));
+    }
+    return codeFile.relPath;
 }
 
 
 // public, platform-agnostic, manifests API
 // imported in browserrc file is `import {manifest} from 'browserrc'
 export const manifest = {
-    name: generateDefaultName(),
-    version: DEFAULT_VERSION,
-    description: DEFAULT_DESCRIPTION,
+    get name(): string {
+        return VALUES.name;
+    },
+    set name(name: string) {
+        VALUES.name = name;
+        recordSource('name');
+    },
+
+    get version(): string {
+        return VALUES.version;
+    },
+    set version(version: string) {
+        VALUES.version = version;
+        recordSource('version');
+    },
+
+    get description(): string {
+        return VALUES.description;
+    },
+    set description(description: string) {
+        VALUES.description = description;
+        recordSource('description');
+    },
 
     /**
      * Get the current permissions array
      */
-    get permissions(): Permission[] {
-        return Array.from(PERMISSIONS) as Permission[];
+    get permissions(): ManifestPermission[] {
+        return Array.from(PERMISSIONS);
     },
 
     /**
-     * Set permissions directly (replaces all existing permissions)
+     * Set permissions directly (replaces all existing permissions).
+     * Match patterns are written to `host_permissions` (or `permissions` for Manifest V2 platforms).
      */
-    set permissions(perms: Permission[]) {
+    set permissions(perms: ManifestPermission[]) {
         PERMISSIONS.clear();
         perms.forEach(perm => PERMISSIONS.add(perm));
+        recordSource('permissions');
+        recordSource('host_permissions');
+    },
+
+    /**
+     * Get the permissions the extension may request at runtime
+     */
+    get optionalPermissions(): ManifestPermission[] {
+        return Array.from(OPTIONAL_PERMISSIONS);
+    },
+
+    /**
+     * Set the permissions the extension may request at runtime (replaces all existing ones).
+     * Match patterns are written to `optional_host_permissions` (or `optional_permissions` for Manifest V2 platforms).
+     */
+    set optionalPermissions(perms: ManifestPermission[]) {
+        OPTIONAL_PERMISSIONS.clear();
+        perms.forEach(perm => OPTIONAL_PERMISSIONS.add(perm));
+        recordSource('optional_permissions');
+        recordSource('optional_host_permissions');
     },
 
     /**
@@ -156,6 +279,7 @@ export const manifest = {
      * Set the toolbar action configuration
      */
     set action(config: ActionConfig) {
+        recordSource('action');
         if (typeof config === 'function') {
             ACTION_CONFIG = {
                 // use defaults from primary manifest
@@ -164,7 +288,7 @@ export const manifest = {
             };
             // Handle onClick by adding to global background script
             background.code.includeFunction(config, 'handleActionClick')
-                .addLine('chrome.action.onClicked.addListener(handleActionClick);');
+                .addLine('(chrome.action || chrome.browserAction).onClicked.addListener(handleActionClick);');
             return;
         }
 
@@ -187,60 +311,163 @@ export const manifest = {
         // Handle onClick by adding to global background script
         if (config.onClick) {
             background.code.includeFunction(config.onClick, 'handleActionClick')
-                .addLine('chrome.action.onClicked.addListener(handleActionClick);')
+                .addLine('(chrome.action || chrome.browserAction).onClicked.addListener(handleActionClick);')
         }
 
         // Register onBuild hooks
         if (config.popup) {
             onBuild.register(async (buildContext) => {
-                await handlePopupBundling(config.popup!, buildContext);
+                await bundleHTMLEntrypoint(config.popup!, buildContext, 'popup');
             });
         }
     },
+    /**
+     * Get the options page configuration
+     */
+    get options(): OptionsConfig | null {
+        return (PAGES.get('options')?.config as OptionsConfig) ?? null;
+    },
+
+    /**
+     * Set the options page, an HTML import, an html() file or JSX, optionally with `openInTab`
+     */
+    set options(config: OptionsConfig | ExtensionPage) {
+        setExtensionPage('options', config);
+    },
+
+    /**
+     * Get the side panel configuration
+     */
+    get sidePanel(): SidePanelConfig | null {
+        return (PAGES.get('sidePanel')?.config as SidePanelConfig) ?? null;
+    },
+
+    /**
+     * Set the side panel, written as `side_panel` for Chromium and `sidebar_action` for Firefox
+     */
+    set sidePanel(config: SidePanelConfig | ExtensionPage) {
+        setExtensionPage('sidePanel', config);
+    },
+
+    /**
+     * Get the devtools page
+     */
+    get devtools(): ExtensionPage | null {
+        return PAGES.get('devtools')?.config.page ?? null;
+    },
+
+    /**
+     * Set the page loaded when the developer tools open, it can add panels with `chrome.devtools.panels`
+     */
+    set devtools(page: ExtensionPage) {
+        setExtensionPage('devtools', page);
+    },
+
+    /**
+     * Get the new tab page
+     */
+    get newTab(): ExtensionPage | null {
+        return PAGES.get('newTab')?.config.page ?? null;
+    },
+
+    /**
+     * Set the page replacing the browser's new tab page
+     */
+    set newTab(page: ExtensionPage) {
+        setExtensionPage('newTab', page);
+    },
+
+    /**
+     * Get the keyboard commands
+     */
+    get commands(): Record<string, CommandConfig> {
+        return COMMANDS;
+    },
+
+    /**
+     * Set the keyboard commands (replaces all existing ones). Keys are written in browserrc key notation
+     * (`<C-S-y>`), onCommand handlers are added to the background script.
+     */
+    set commands(commands: Record<string, CommandConfig>) {
+        recordSource('commands');
+        for (const [name, config] of Object.entries(commands)) {
+            if (config.onCommand && name.startsWith('_execute_')) {
+                throw new Error(`Command '${name}' is handled by the browser and cannot have an onCommand handler.`);
+            }
+        }
+        COMMANDS = commands;
+
+        // the handlers of the final commands are added once the rc file ran
+        if (!COMMAND_HANDLERS_REGISTERED) {
+            COMMAND_HANDLERS_REGISTERED = true;
+            onBeforeBuild.once(addCommandHandlers);
+        }
+    },
+
+    /**
+     * Set several manifest keys at once, keys browserrc does not manage are written to the manifest as they are
+     */
     assign: (config: Partial<ExtendedJSONFile>) => {
         Object.assign(manifest, config);
+        Object.keys(config).forEach(recordSource);
     },
 };
 
+// the default name is generated once per process, so rebuilds keep producing the same manifest
+const MANIFEST_DEFAULTS = { name: manifest.name, version: manifest.version, description: manifest.description };
+const MANIFEST_KEYS = new Set(Object.keys(manifest));
+
+onReset.register(() => {
+    CONTENT_SCRIPTS = [];
+    PERMISSIONS.clear();
+    OPTIONAL_PERMISSIONS.clear();
+    ACTION_CONFIG = null;
+    COMMANDS = {};
+    COMMAND_HANDLERS_REGISTERED = false;
+    PAGES.clear();
+
+    // drop anything added through manifest.assign() and restore the defaults
+    for (const key of Object.keys(manifest)) {
+        if (!MANIFEST_KEYS.has(key)) {
+            delete (manifest as Record<string, unknown>)[key];
+        }
+    }
+    Object.assign(manifest, MANIFEST_DEFAULTS);
+    SOURCES.clear();
+});
+
 
 /**
  * Platform-agnostic API for adding content scripts
  */
 export function addContentScript(options: ContentScriptOptions): void {
-    const {
-        matches = ['<all_urls>'],
-        js,
-        run_at = 'document_idle',
-        all_frames = false,
-        platforms = { chrome: true, firefox: true },
-    } = options;
-
-    // js is required for content scripts
-    if (!js || js.length === 0) {
-        throw new Error('Content script must specify js files');
-    }
-
-    const contentScriptEntry: ContentScriptEntry = {
-        matches,
-        js,
-        run_at,
-        all_frames
-    };
+    const { platforms, ...entryOptions } = options;
+    const contentScriptEntry = buildContentScriptEntry(entryOptions) as ContentScriptEntry;
 
-    if (platforms?.chrome) {
-        MANIFESTS.chrome.content_scripts.push(contentScriptEntry);
-    }
-    if (platforms?.firefox) {
-        MANIFESTS.firefox.content_scripts.push(contentScriptEntry);
-    }
+    CONTENT_SCRIPTS.push({ entry: contentScriptEntry, platforms, source: captureCallSite() });
 }
 
 
 /**
- * Merge user manifest with internal manifest state to produce the final manifest files, and write them
+ * Merge user manifest with internal manifest state to produce the final manifest files, validate and write them.
+ *
+ * Validation issues are printed as warnings, in strict mode they fail the build instead and the invalid
+ * manifests are not written.
  */
-export function buildManifests(outputDir: string, platforms: { chrome?: true; firefox?: true }): void {
-    const permissions = Array.from(PERMISSIONS);
+export async function buildManifests(outputDir: string, platforms: Record<string, boolean>, options: BuildManifestsOptions = {}): Promise<void> {
+    const failures: string[] = [];
+
+    // keys set through manifest.assign() that browserrc does not manage itself
+    const extraProperties: Record<string, any> = Object.fromEntries(
+        Object.entries(manifest).filter(([key]) => !MANIFEST_KEYS.has(key) && !PERMISSION_KEYS.includes(key))
+    );
+    const assigned = manifest as Record<string, any>;
+    const [permissions, hostPermissions] = splitPermissions([...PERMISSIONS, ...(assigned.host_permissions || [])]);
+    const [optionalPermissions, optionalHostPermissions] = splitPermissions([
+        ...OPTIONAL_PERMISSIONS,
+        ...(assigned.optional_permissions || []),
+        ...(assigned.optional_host_permissions || []),
+    ]);
 
     // Build action manifest entry
     let actionEntry: Partial<ManifestAction> | undefined;
@@ -258,29 +485,119 @@ export function buildManifests(outputDir: string, platforms: { chrome?: true; fi
         }
     }
 
-    if (platforms.chrome) {
-        Object.assign(MANIFESTS.chrome, {
+    const defaultLocale = getDefaultLocale();
+    const webAccessibleEntries = [
+        ...(extraProperties.web_accessible_resources || []).map((entry: any) => ({ entry, source: SOURCES.get('web_accessible_resources') })),
+        ...webAccessibleAssets(),
+    ];
+    const writtenPages = Object.fromEntries(Array.from(PAGES)
+        .filter(([, page]) => page.path !== null)
+        .map(([kind, page]) => [kind, { path: page.path!, config: page.config }]));
+
+    for (const name of targetPlatforms(platforms)) {
+        const platform = getPlatform(name);
+        const platformContentScripts = CONTENT_SCRIPTS
+            .filter(contentScript => !contentScript.platforms || contentScript.platforms[name]);
+        const { contentScripts, warnings: contentScriptWarnings } = contentScriptsForPlatform(
+            platformContentScripts.map(contentScript => contentScript.entry), platform);
+        contentScriptWarnings.forEach(warning => console.warn(`⚠ ${name}/manifest.json: ${warning}`));
+
+        // features may need a permission for their manifest key (e.g. Chrome's side_panel)
+        const pages = pageManifestEntries(writtenPages, platform);
+        const netRequest = netRequestManifestEntries();
+        const runtimeContentScripts = runtimeContentScriptEntries(platform);
+        [...pages.warnings, ...runtimeContentScripts.warnings].forEach(warning => console.warn(`⚠ ${name}/manifest.json: ${warning}`));
+        const featurePermissions = [
+            ...pages.permissions,
+            ...netRequest.permissions,
+            ...contextMenuPermissions(),
+            ...alarmPermissions(),
+            ...settingsPermissions(),
+            ...runtimeContentScripts.permissions,
+        ];
+        const platformPermissions = Array.from(new Set([...permissions, ...featurePermissions])) as ManifestPermission[];
+
+        // compare with the APIs the platform's scripts use, optional permissions count as declared
+        const { missing, unused } = comparePermissions(platformPermissions, options.apiUsage?.get(name), optionalPermissions);
+        const permissionIssues: ManifestIssue[] = [];
+        for (const { permission, apis, files } of missing) {
+            if (options.inferPermissions) {
+                console.debug(`[manifest] adding permission '${permission}' for ${name}, used by ${Array.from(files).join(', ')}`);
+                platformPermissions.push(permission as ManifestPermission);
+            } else {
+                permissionIssues.push({
+                    path: 'permissions',
+                    message: `Permission '${permission}' is not declared but ${Array.from(files).join(', ')} use${files.size > 1 ? '' : 's'} ${Array.from(apis).join(', ')}`,
+                    ...(SOURCES.has('permissions') && { source: SOURCES.get('permissions') }),
+                });
+            }
+        }
+        const commands = buildCommands(COMMANDS, SHORTCUT_RULES[platform.engine]);
+        const commandIssues: ManifestIssue[] = commands.issues
+            .map(issue => ({ ...issue, ...(SOURCES.has('commands') && { source: SOURCES.get('commands') }) }));
+        unused
+            .filter(permission => !featurePermissions.includes(permission))
+            .forEach(permission => console.warn(`⚠ ${name}/manifest.json: permission '${permission}' is declared but no generated code uses it`));
+
+        const backgroundEntry = platform.background === 'scripts'
+            ? { scripts: ['background.js'] }
+            : { service_worker: 'background.js' };
+
+        const properties: Partial<ExtendedJSONFile> = {
             manifest_version: 3,
             version: manifest.version,
             name: manifest.name,
             description: manifest.description,
-            ...(permissions.length > 0 && { permissions }),
-            ...(BACKGROUND_CODE_FILE && { background: { service_worker: 'background.js' } }),
+            ...extraProperties,
+            ...(defaultLocale && { default_locale: defaultLocale }),
+            ...(contentScripts.length > 0 && { content_scripts: contentScripts }),
+            ...(platformPermissions.length > 0 && { permissions: platformPermissions }),
+            ...(optionalPermissions.length > 0 && { optional_permissions: optionalPermissions }),
+            ...(hostPermissions.length > 0 && { host_permissions: hostPermissions }),
+            ...(optionalHostPermissions.length > 0 && { optional_host_permissions: optionalHostPermissions }),
+            ...(BACKGROUND_CODE_FILE && { background: backgroundEntry }),
             ...(actionEntry && Object.keys(actionEntry).length > 0 && { action: actionEntry }),
+            ...pages.properties,
+            ...netRequest.properties,
+            ...(webAccessibleEntries.length > 0 && { web_accessible_resources: webAccessibleEntries.map(({ entry }) => entry) }),
+            ...(Object.keys(commands.commands).length > 0 && { commands: commands.commands }),
+            ...(platform.browserSpecificSettings && { browser_specific_settings: platform.browserSpecificSettings }),
+        };
+
+        // onBeforeManifest listeners see (and may change) exactly what is written for the platform
+        const platformManifest = platform.manifestVersion === 2 ? toManifestV2(properties) : properties;
+        await onBeforeManifest.triggerAsync(platformManifest, name);
+
+        const sources: Record<string, string> = Object.fromEntries(SOURCES);
+        platformContentScripts.forEach((contentScript, index) => {
+            if (contentScript.source) {
+                sources[`content_scripts[${index}]`] = contentScript.source;
+            }
+        });
+        webAccessibleEntries.forEach(({ source }, index) => {
+            if (source) {
+                sources[`web_accessible_resources[${index}]`] = source;
+            }
         });
-        MANIFESTS.chrome.write(outputDir);
+        const issues = [
+            ...permissionIssues,
+            ...commandIssues,
+            ...validateManifest(platformManifest, { manifestVersion: platform.manifestVersion, sources }),
+            ...validateMessages(platformManifest, options.messageUsage?.get(name)),
+        ];
+        if (issues.length > 0) {
+            if (options.strict) {
+                failures.push(`${name}/manifest.json:`, ...issues.map(issue => `  - ${formatIssue(issue)}`));
+                continue;
+            }
+            issues.forEach(issue => console.warn(`⚠ ${name}/manifest.json: ${formatIssue(issue)}`));
+        }
+
+        const manifestFile: ExtendedJSONFile = Object.assign(new JSONFile(`${name}/manifest.json`), platformManifest);
+        manifestFile.write(outputDir);
     }
 
-    if (platforms.firefox) {
-        Object.assign(MANIFESTS.firefox, {
-            manifest_version: 3,
-            version: manifest.version,
-            name: manifest.name,
-            description: manifest.description,
-            ...(permissions.length > 0 && { permissions }),
-            ...(BACKGROUND_CODE_FILE && { background: { scripts: ['background.js'] } }),
-            ...(actionEntry && Object.keys(actionEntry).length > 0 && { action: actionEntry }),
-        });
-        MANIFESTS.firefox.write(outputDir);
+    if (failures.length > 0) {
+        throw new Error(`Invalid manifest\n${failures.join('\n')}`);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,81 @@
+// Translation of the Manifest V3 browserrc assembles into Manifest V2, for platforms configured
+// with `manifestVersion: 2` (e.g. Firefox ESR deployments)
+
+/**
+ * Append values to a list, skipping duplicates
+ * @param {string[] | undefined} list
+ * @param {string[] | undefined} values
+ * @returns {string[] | undefined}
+ */
+function mergeUnique(list, values) {
+    if (!values || values.length === 0) {
+        return list;
+    }
+    return Array.from(new Set([...(list || []), ...values]));
+}
+
+/**
+ * Translate a Manifest V3 object into its Manifest V2 equivalent.
+ *
+ * - `action` becomes `browser_action`, the `_execute_action` command `_execute_browser_action`
+ * - the background service worker or scripts become non-persistent `background.scripts`
+ * - `host_permissions` and `optional_host_permissions` are folded into `permissions` and `optional_permissions`
+ * - `web_accessible_resources` entries are flattened into a list of resources
+ * - a `content_security_policy.extension_pages` object becomes a plain string
+ *
+ * Keys keep their order, the input is not modified.
+ *
+ * @param {Record<string, any>} manifest - The Manifest V3 properties
+ * @returns {Record<string, any>} The Manifest V2 properties
+ */
+export function toManifestV2(manifest) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(manifest)) {
+        switch (key) {
+            case 'manifest_version':
+                result.manifest_version = 2;
+                break;
+            case 'action':
+                result.browser_action = value;
+                break;
+            case 'commands':
+                result.commands = Object.fromEntries(Object.entries(value)
+                    .map(([name, command]) => [name === '_execute_action' ? '_execute_browser_action' : name, command]));
+                break;
+            case 'background': {
+                const scripts = value.scripts || (value.service_worker ? [value.service_worker] : undefined);
+                result.background = {
+                    ...(scripts ? { scripts } : { page: value.page }),
+                    persistent: false,
+                };
+                break;
+            }
+            case 'host_permissions':
+                result.permissions = mergeUnique(result.permissions ?? manifest.permissions, value);
+                break;
+            case 'optional_host_permissions':
+                result.optional_permissions = mergeUnique(result.optional_permissions ?? manifest.optional_permissions, value);
+                break;
+            case 'permissions':
+            case 'optional_permissions':
+                result[key] = mergeUnique(result[key], value) ?? value;
+                break;
+            case 'web_accessible_resources':
+                result.web_accessible_resources = Array.from(new Set(
+                    value.flatMap(entry => (typeof entry === 'string' ? [entry] : entry.resources))
+                ));
+                break;
+            case 'content_security_policy':
+                result.content_security_policy = typeof value === 'string' ? value : value.extension_pages;
+                break;
+            default:
+                result[key] = value;
+        }
+    }
+
+    if (result.manifest_version === undefined) {
+        return { manifest_version: 2, ...result };
+    }
+    return result;
+}
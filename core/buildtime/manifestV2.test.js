@@ -0,0 +1,88 @@
+/**
+ * Unit tests for buildtime/manifestV2.js
+ *
+ * Run with: node --test core/buildtime/manifestV2.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { toManifestV2 } from './manifestV2.js';
+
+describe('toManifestV2', () => {
+  test('sets manifest_version 2 in place', () => {
+    const result = toManifestV2({ manifest_version: 3, name: 'test', version: '1.0.0' });
+
+    assert.deepStrictEqual(result, { manifest_version: 2, name: 'test', version: '1.0.0' });
+    assert.deepStrictEqual(Object.keys(result), ['manifest_version', 'name', 'version']);
+  });
+
+  test('renames action to browser_action', () => {
+    const result = toManifestV2({ manifest_version: 3, action: { default_title: 'Click me', default_popup: 'popup/popup.html' } });
+
+    assert.strictEqual(result.action, undefined);
+    assert.deepStrictEqual(result.browser_action, { default_title: 'Click me', default_popup: 'popup/popup.html' });
+  });
+
+  test('renames the _execute_action command', () => {
+    const result = toManifestV2({ commands: { _execute_action: { suggested_key: { default: 'Alt+Shift+P' } }, reload: { description: 'Reload' } } });
+
+    assert.deepStrictEqual(result.commands, {
+      _execute_browser_action: { suggested_key: { default: 'Alt+Shift+P' } },
+      reload: { description: 'Reload' },
+    });
+  });
+
+  test('turns service workers and scripts into non-persistent background scripts', () => {
+    assert.deepStrictEqual(
+      toManifestV2({ background: { service_worker: 'background.js' } }).background,
+      { scripts: ['background.js'], persistent: false },
+    );
+    assert.deepStrictEqual(
+      toManifestV2({ background: { scripts: ['background.js'] } }).background,
+      { scripts: ['background.js'], persistent: false },
+    );
+  });
+
+  test('folds host permissions into permissions', () => {
+    const result = toManifestV2({
+      permissions: ['tabs', 'storage'],
+      host_permissions: ['https://example.com/*', 'tabs'],
+      optional_host_permissions: ['*://*/*'],
+    });
+
+    assert.deepStrictEqual(result.permissions, ['tabs', 'storage', 'https://example.com/*']);
+    assert.deepStrictEqual(result.optional_permissions, ['*://*/*']);
+    assert.strictEqual(result.host_permissions, undefined);
+    assert.strictEqual(result.optional_host_permissions, undefined);
+  });
+
+  test('folds host permissions declared before permissions', () => {
+    const result = toManifestV2({ host_permissions: ['<all_urls>'], permissions: ['storage'] });
+
+    assert.deepStrictEqual(result.permissions, ['storage', '<all_urls>']);
+  });
+
+  test('flattens web accessible resources', () => {
+    const result = toManifestV2({
+      web_accessible_resources: [
+        { resources: ['images/*.png', 'fonts/a.woff2'], matches: ['<all_urls>'] },
+        { resources: ['images/*.png'], matches: ['https://example.com/*'] },
+      ],
+    });
+
+    assert.deepStrictEqual(result.web_accessible_resources, ['images/*.png', 'fonts/a.woff2']);
+  });
+
+  test('uses the extension pages content security policy', () => {
+    const result = toManifestV2({ content_security_policy: { extension_pages: "script-src 'self'" } });
+
+    assert.strictEqual(result.content_security_policy, "script-src 'self'");
+  });
+
+  test('does not modify its input', () => {
+    const manifest = { manifest_version: 3, action: {}, host_permissions: ['<all_urls>'] };
+    toManifestV2(manifest);
+
+    assert.deepStrictEqual(manifest, { manifest_version: 3, action: {}, host_permissions: ['<all_urls>'] });
+  });
+});
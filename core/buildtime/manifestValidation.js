@@ -0,0 +1,259 @@
+// Validation of the manifest written for each platform
+//
+// Issues carry the path of the offending value (e.g. `content_scripts[0].matches[1]`) and, when
+// known, the rc file location that produced it, captured with captureCallSite() when the value was set.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FRAMEWORK_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Frames in these paths are framework code, the first frame outside of them is the rc call
+const FRAMEWORK_PATHS = ['core', 'helpers', 'stdlib', 'index.js', 'jsx-runtime.js']
+    .map(entry => path.join(FRAMEWORK_ROOT, entry));
+
+// Limits enforced by the Chrome Web Store and Firefox Add-ons
+const MAX_NAME_LENGTH = 75;
+const MAX_SHORT_NAME_LENGTH = 12;
+const MAX_DESCRIPTION_LENGTH = 132;
+
+// Keys Chrome or Firefox accept in any manifest version
+const COMMON_KEYS = [
+    'manifest_version', 'name', 'version', 'description', 'short_name', 'version_name', 'icons', 'author',
+    'homepage_url', 'default_locale', 'permissions', 'optional_permissions', 'content_scripts', 'background',
+    'commands', 'content_security_policy', 'devtools_page', 'externally_connectable', 'incognito', 'key',
+    'minimum_chrome_version', 'offline_enabled', 'omnibox', 'options_page', 'options_ui', 'chrome_url_overrides',
+    'chrome_settings_overrides', 'storage', 'web_accessible_resources', 'browser_specific_settings', 'developer',
+    'declarative_net_request', 'side_panel', 'sidebar_action', 'page_action', 'tts_engine', 'update_url', 'oauth2',
+    'file_browser_handlers', 'file_system_provider_capabilities', 'input_components', 'import', 'export',
+    'requirements', 'sandbox', 'cross_origin_embedder_policy', 'cross_origin_opener_policy', 'protocol_handlers',
+    'theme', 'theme_experiment', 'user_scripts', 'dictionaries', 'automation', 'event_rules', 'natively_connectable',
+];
+
+const KNOWN_KEYS = {
+    2: new Set([...COMMON_KEYS, 'browser_action']),
+    3: new Set([...COMMON_KEYS, 'action', 'host_permissions', 'optional_host_permissions']),
+};
+
+/**
+ * @typedef {Object} ManifestIssue
+ * @property {string} path - Path of the offending value, e.g. `content_scripts[0].matches[1]`
+ * @property {string} message - What is wrong with it
+ * @property {string} [source] - The rc file location (`file:line:column`) the value was set at
+ */
+
+/**
+ * Whether a string is a valid match pattern (`<all_urls>` or `scheme://host/path`)
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isValidMatchPattern(pattern) {
+    if (pattern === '<all_urls>') {
+        return true;
+    }
+    const match = /^(\*|https?|wss?|ftp|file):\/\/([^/]*)(\/.*)$/.exec(pattern);
+    if (!match) {
+        return false;
+    }
+    const [, scheme, host] = match;
+    if (host === '') {
+        return scheme === 'file';
+    }
+    // `*` may only be the whole host or its first label
+    return /^(\*|(\*\.)?[^*:]+)(:(\*|\d{1,5}))?$/.test(host);
+}
+
+/**
+ * Whether a permission is a host permission (a match pattern) rather than an API permission
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function isHostPermission(permission) {
+    return permission === '<all_urls>' || permission.includes('://');
+}
+
+/**
+ * Levenshtein distance, used to suggest the key an unknown key was probably meant to be
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * @param {string} key
+ * @param {Set<string>} knownKeys
+ * @returns {string | undefined}
+ */
+function suggestKey(key, knownKeys) {
+    let best;
+    let bestDistance = 3;
+    for (const knownKey of knownKeys) {
+        const distance = editDistance(key, knownKey);
+        if (distance < bestDistance) {
+            best = knownKey;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Whether a value is a localized `__MSG_key__` reference, whose length is only known per locale
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isMessageReference(value) {
+    return typeof value === 'string' && /^__MSG_\w+__$/.test(value);
+}
+
+/**
+ * Validate the manifest written for a platform
+ * @param {Record<string, any>} manifest - The final manifest of the platform
+ * @param {Object} [options={}]
+ * @param {2 | 3} [options.manifestVersion=3] - The manifest version of the platform
+ * @param {Record<string, string>} [options.sources] - rc call sites by path (e.g. `name`, `content_scripts[0]`),
+ *   issues use the source of their closest path
+ * @returns {ManifestIssue[]}
+ */
+export function validateManifest(manifest, { manifestVersion = 3, sources = {} } = {}) {
+    /** @type {ManifestIssue[]} */
+    const issues = [];
+    const report = (issuePath, message) => {
+        const sourcePath = Object.keys(sources)
+            .filter(prefix => issuePath === prefix || issuePath.startsWith(prefix + '.') || issuePath.startsWith(prefix + '['))
+            .sort((a, b) => b.length - a.length)[0];
+        issues.push({ path: issuePath, message, ...(sourcePath && { source: sources[sourcePath] }) });
+    };
+
+    const knownKeys = KNOWN_KEYS[manifestVersion];
+    for (const key of Object.keys(manifest)) {
+        if (!knownKeys.has(key)) {
+            const otherVersion = manifestVersion === 3 ? 2 : 3;
+            const suggestion = suggestKey(key, knownKeys);
+            report(key, KNOWN_KEYS[otherVersion].has(key)
+                ? `'${key}' is not supported in Manifest V${manifestVersion}`
+                : `Unknown manifest key '${key}'${suggestion ? `, did you mean '${suggestion}'?` : ''}`);
+        }
+    }
+
+    for (const key of ['name', 'version']) {
+        if (typeof manifest[key] !== 'string' || manifest[key] === '') {
+            report(key, `'${key}' is required`);
+        }
+    }
+
+    const lengthLimits = { name: MAX_NAME_LENGTH, short_name: MAX_SHORT_NAME_LENGTH, description: MAX_DESCRIPTION_LENGTH };
+    for (const [key, limit] of Object.entries(lengthLimits)) {
+        const value = manifest[key];
+        if (typeof value === 'string' && !isMessageReference(value) && value.length > limit) {
+            report(key, `'${key}' is ${value.length} characters long, the limit is ${limit}`);
+        }
+    }
+
+    if (typeof manifest.version === 'string' && manifest.version !== ''
+        && !/^(0|[1-9]\d{0,4})(\.(0|[1-9]\d{0,4})){0,3}$/.test(manifest.version)) {
+        report('version', `Invalid version '${manifest.version}', expected 1 to 4 dot-separated integers like 1.0.2`);
+    }
+
+    const validatePatterns = (patterns, patternsPath) => {
+        (patterns || []).forEach((pattern, index) => {
+            if (!isValidMatchPattern(pattern)) {
+                report(`${patternsPath}[${index}]`, `Invalid match pattern '${pattern}'`);
+            }
+        });
+    };
+
+    (manifest.content_scripts || []).forEach((contentScript, index) => {
+        if (!contentScript.matches || contentScript.matches.length === 0) {
+            report(`content_scripts[${index}].matches`, 'Content scripts need at least one match pattern');
+        }
+        validatePatterns(contentScript.matches, `content_scripts[${index}].matches`);
+        validatePatterns(contentScript.exclude_matches, `content_scripts[${index}].exclude_matches`);
+    });
+    validatePatterns(manifest.host_permissions, 'host_permissions');
+    validatePatterns(manifest.optional_host_permissions, 'optional_host_permissions');
+    (manifest.web_accessible_resources || []).forEach((entry, index) => {
+        if (typeof entry === 'object') {
+            validatePatterns(entry.matches, `web_accessible_resources[${index}].matches`);
+        }
+    });
+
+    const permissionLists = ['permissions', 'optional_permissions', 'host_permissions', 'optional_host_permissions'];
+    for (const key of permissionLists) {
+        const seen = new Set();
+        (manifest[key] || []).forEach((permission, index) => {
+            if (seen.has(permission)) {
+                report(`${key}[${index}]`, `Duplicate permission '${permission}'`);
+            }
+            seen.add(permission);
+            if (manifestVersion === 2) {
+                // Manifest V2 lists host permissions together with API permissions
+                if (permission.includes('://') && !isValidMatchPattern(permission)) {
+                    report(`${key}[${index}]`, `Invalid match pattern '${permission}'`);
+                }
+            } else if ((key === 'permissions' || key === 'optional_permissions') && isHostPermission(permission)) {
+                report(`${key}[${index}]`, `'${permission}' is a host permission, Manifest V3 expects it in ${key.replace('permissions', 'host_permissions')}`);
+            }
+        });
+    }
+    for (const [required, optional] of [['permissions', 'optional_permissions'], ['host_permissions', 'optional_host_permissions']]) {
+        const requiredPermissions = new Set(manifest[required] || []);
+        (manifest[optional] || []).forEach((permission, index) => {
+            if (requiredPermissions.has(permission)) {
+                report(`${optional}[${index}]`, `'${permission}' is also a required permission`);
+            }
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Format an issue for the console
+ * @param {ManifestIssue} issue
+ * @returns {string}
+ */
+export function formatIssue(issue) {
+    return `${issue.path}: ${issue.message}${issue.source ? ` (${issue.source})` : ''}`;
+}
+
+/**
+ * Find the first stack frame outside of the framework
+ * @param {string} stack - An `Error().stack`
+ * @param {string} [cwd=process.cwd()] - Locations are reported relative to this directory
+ * @returns {string | undefined} `file:line:column`, or `file:line` if the frame has no column
+ */
+export function callSiteFromStack(stack, cwd = process.cwd()) {
+    for (const line of stack.split('\n').slice(1)) {
+        // the column is missing from some frames (e.g. property setters in Bun)
+        const match = /\(?(?:file:\/\/)?(\/[^():]+):(\d+)(?::(\d+))?\)?\s*$/.exec(line);
+        if (!match) {
+            continue;
+        }
+        const [, filePath, lineNumber, column] = match;
+        if (FRAMEWORK_PATHS.some(frameworkPath => filePath === frameworkPath || filePath.startsWith(frameworkPath + path.sep))) {
+            continue;
+        }
+        return `${path.relative(cwd, filePath) || filePath}:${lineNumber}${column ? `:${column}` : ''}`;
+    }
+    return undefined;
+}
+
+/**
+ * Capture the rc file location of the current call into the framework
+ * @returns {string | undefined} `file:line:column`
+ */
+export function captureCallSite() {
+    return callSiteFromStack(new Error().stack || '');
+}
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for buildtime/manifestValidation.js
+ *
+ * Run with: node --test core/buildtime/manifestValidation.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { callSiteFromStack, formatIssue, isHostPermission, isValidMatchPattern, validateManifest } from './manifestValidation.js';
+
+const FRAMEWORK_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const validManifest = () => ({
+  manifest_version: 3,
+  name: 'My extension',
+  version: '1.0.2',
+  description: 'Does things',
+  permissions: ['storage', 'tabs'],
+  content_scripts: [{ matches: ['https://*.example.com/*'], js: ['content.js'] }],
+});
+
+describe('isValidMatchPattern', () => {
+  test('accepts valid patterns', () => {
+    for (const pattern of ['<all_urls>', '*://*/*', 'https://example.com/*', 'https://*.example.com/path*',
+      'http://localhost:8080/', 'file:///home/*', 'wss://socket.example.com/*']) {
+      assert.ok(isValidMatchPattern(pattern), pattern);
+    }
+  });
+
+  test('rejects invalid patterns', () => {
+    for (const pattern of ['example.com', 'https://example.com', 'chrome://extensions/*', 'https://*example.com/*',
+      'https://example.*.com/*', 'https:///*', 'all_urls']) {
+      assert.ok(!isValidMatchPattern(pattern), pattern);
+    }
+  });
+});
+
+describe('isHostPermission', () => {
+  test('detects match patterns', () => {
+    assert.ok(isHostPermission('<all_urls>'));
+    assert.ok(isHostPermission('https://*.example.com/*'));
+    assert.ok(!isHostPermission('storage'));
+    assert.ok(!isHostPermission('system.cpu'));
+  });
+});
+
+describe('validateManifest', () => {
+  test('returns no issues for a valid manifest', () => {
+    assert.deepStrictEqual(validateManifest(validManifest()), []);
+  });
+
+  test('reports unknown keys with a suggestion', () => {
+    const issues = validateManifest({ ...validManifest(), permisions: ['tabs'], foo: true });
+
+    assert.deepStrictEqual(issues.map(issue => issue.message), [
+      "Unknown manifest key 'permisions', did you mean 'permissions'?",
+      "Unknown manifest key 'foo'",
+    ]);
+  });
+
+  test('reports keys of the other manifest version', () => {
+    const issues = validateManifest({ ...validManifest(), browser_action: {} });
+    assert.strictEqual(issues[0].message, "'browser_action' is not supported in Manifest V3");
+
+    const v2Issues = validateManifest({ ...validManifest(), manifest_version: 2, host_permissions: [] }, { manifestVersion: 2 });
+    assert.strictEqual(v2Issues[0].message, "'host_permissions' is not supported in Manifest V2");
+  });
+
+  test('reports invalid match patterns with their path', () => {
+    const manifest = validManifest();
+    manifest.content_scripts[0].matches.push('example.com');
+    manifest.host_permissions = ['https://*.google.com/*', 'google.com'];
+
+    assert.deepStrictEqual(validateManifest(manifest).map(formatIssue), [
+      "content_scripts[0].matches[1]: Invalid match pattern 'example.com'",
+      "host_permissions[1]: Invalid match pattern 'google.com'",
+    ]);
+  });
+
+  test('reports content scripts without matches', () => {
+    const manifest = validManifest();
+    manifest.content_scripts[0].matches = [];
+
+    assert.strictEqual(validateManifest(manifest)[0].path, 'content_scripts[0].matches');
+  });
+
+  test('reports duplicate and both required and optional permissions', () => {
+    const manifest = { ...validManifest(), permissions: ['tabs', 'storage', 'tabs'], optional_permissions: ['storage'] };
+
+    assert.deepStrictEqual(validateManifest(manifest).map(formatIssue), [
+      "permissions[2]: Duplicate permission 'tabs'",
+      "optional_permissions[0]: 'storage' is also a required permission",
+    ]);
+  });
+
+  test('reports host permissions in Manifest V3 permissions', () => {
+    const manifest = { ...validManifest(), optional_permissions: ['bookmarks', '*://*/*'] };
+
+    assert.deepStrictEqual(validateManifest(manifest).map(formatIssue), [
+      "optional_permissions[1]: '*://*/*' is a host permission, Manifest V3 expects it in optional_host_permissions",
+    ]);
+  });
+
+  test('validates host permissions folded into Manifest V2 permissions', () => {
+    const manifest = { ...validManifest(), manifest_version: 2, permissions: ['tabs', 'https://example.com/*', 'https://bad'] };
+
+    assert.deepStrictEqual(validateManifest(manifest, { manifestVersion: 2 }).map(issue => issue.path), ['permissions[2]']);
+  });
+
+  test('reports length limits, except for localized strings', () => {
+    const manifest = { ...validManifest(), name: 'n'.repeat(76), short_name: '__MSG_a_very_long_short_name__', description: 'd'.repeat(133) };
+
+    assert.deepStrictEqual(validateManifest(manifest).map(issue => issue.message), [
+      "'name' is 76 characters long, the limit is 75",
+      "'description' is 133 characters long, the limit is 132",
+    ]);
+  });
+
+  test('reports missing and invalid versions', () => {
+    assert.strictEqual(validateManifest({ ...validManifest(), version: '' })[0].message, "'version' is required");
+    assert.match(validateManifest({ ...validManifest(), version: '1.0-beta' })[0].message, /Invalid version '1.0-beta'/);
+    assert.strictEqual(validateManifest({ ...validManifest(), version: '1.0.0.01' }).length, 1);
+  });
+
+  test('attaches the source of the closest path', () => {
+    const manifest = validManifest();
+    manifest.content_scripts[0].matches = ['nope'];
+    manifest.name = 'n'.repeat(80);
+    const sources = { name: 'browserrc.js:3:1', content_scripts: 'other.js:1:1', 'content_scripts[0]': 'browserrc.js:5:1' };
+
+    assert.deepStrictEqual(validateManifest(manifest, { sources }).map(formatIssue), [
+      "name: 'name' is 80 characters long, the limit is 75 (browserrc.js:3:1)",
+      "content_scripts[0].matches[0]: Invalid match pattern 'nope' (browserrc.js:5:1)",
+    ]);
+  });
+});
+
+describe('callSiteFromStack', () => {
+  test('returns the first frame outside of the framework', () => {
+    const stack = [
+      'Error',
+      `    at captureCallSite (${path.join(FRAMEWORK_ROOT, 'core', 'buildtime', 'manifestValidation.js')}:10:5)`,
+      `    at set name (${path.join(FRAMEWORK_ROOT, 'core', 'buildtime', 'manifest.ts')}:20:9)`,
+      '    at /home/me/extension/browserrc.js:3:15',
+      '    at moduleEvaluation (native:1:11)',
+    ].join('\n');
+
+    assert.strictEqual(callSiteFromStack(stack, '/home/me/extension'), 'browserrc.js:3:15');
+  });
+
+  test('supports frames without a column', () => {
+    assert.strictEqual(callSiteFromStack('Error\n    at /home/me/rc.js:2', '/home/me'), 'rc.js:2');
+  });
+
+  test('supports file URLs', () => {
+    assert.strictEqual(callSiteFromStack('Error\n    at file:///home/me/rc.js:1:2', '/home'), 'me/rc.js:1:2');
+  });
+
+  test('returns undefined without a frame outside of the framework', () => {
+    assert.strictEqual(callSiteFromStack('Error\n    at native code'), undefined);
+  });
+});
@@ -0,0 +1,251 @@
+// Declarative net request rules: collected from the rc file, validated, numbered and written to one
+// ruleset file per ruleset in each platform, with the manifest `declarative_net_request` entry.
+
+import path from 'path';
+import { onBuild, onReset } from './lifecycle.js';
+import { writeOutputFile } from './output.js';
+import { targetPlatforms } from './platforms.js';
+
+/**
+ * @typedef {Object} NetRequestRule
+ * @property {number} [id] - Unique within its ruleset, assigned in order when omitted
+ * @property {number} [priority=1]
+ * @property {{ type: string, redirect?: Record<string, any>, requestHeaders?: HeaderModification[], responseHeaders?: HeaderModification[] }} action
+ * @property {Record<string, any>} condition - `urlFilter`, `requestDomains`, `resourceTypes`, ...
+ * @property {string} [ruleset='default'] - The ruleset the rule is written to
+ */
+
+/**
+ * @typedef {{ header: string, operation: 'append' | 'set' | 'remove', value?: string }} HeaderModification
+ */
+
+const DEFAULT_RULESET = 'default';
+
+const ACTION_TYPES = ['block', 'redirect', 'allow', 'upgradeScheme', 'modifyHeaders', 'allowAllRequests'];
+const RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping',
+    'csp_report', 'media', 'websocket', 'webtransport', 'webbundle', 'other',
+];
+const REQUEST_METHODS = ['connect', 'delete', 'get', 'head', 'options', 'patch', 'post', 'put', 'other'];
+const CONDITION_KEYS = [
+    'urlFilter', 'regexFilter', 'isUrlFilterCaseSensitive', 'initiatorDomains', 'excludedInitiatorDomains',
+    'requestDomains', 'excludedRequestDomains', 'resourceTypes', 'excludedResourceTypes', 'requestMethods',
+    'excludedRequestMethods', 'domainType', 'tabIds', 'excludedTabIds', 'responseHeaders', 'excludedResponseHeaders',
+];
+const REDIRECT_KEYS = ['url', 'extensionPath', 'transform', 'regexSubstitution'];
+const HEADER_OPERATIONS = ['append', 'set', 'remove'];
+
+/** @type {Map<string, { enabled: boolean, rules: Array<Record<string, any>> }>} */
+const RULESETS = new Map();
+let BUILD_LISTENER_REGISTERED = false;
+
+onReset.register(() => {
+    RULESETS.clear();
+    BUILD_LISTENER_REGISTERED = false;
+});
+
+/**
+ * Validate a rule, throwing an error that names the offending field
+ * @param {NetRequestRule} rule
+ * @throws {Error}
+ */
+export function validateRule(rule) {
+    const fail = (message) => {
+        throw new Error(`Invalid net request rule: ${message}`);
+    };
+    const { action, condition } = rule;
+
+    if (rule.id !== undefined && (!Number.isInteger(rule.id) || rule.id < 1)) {
+        fail(`id must be a positive integer, got ${rule.id}`);
+    }
+    if (rule.priority !== undefined && (!Number.isInteger(rule.priority) || rule.priority < 1)) {
+        fail(`priority must be a positive integer, got ${rule.priority}`);
+    }
+
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+        fail(`action.type must be one of ${ACTION_TYPES.join(', ')}, got ${action?.type}`);
+    }
+    if (action.type === 'redirect') {
+        const targets = REDIRECT_KEYS.filter(key => action.redirect?.[key] !== undefined);
+        if (targets.length !== 1) {
+            fail(`redirect rules need exactly one of action.redirect.${REDIRECT_KEYS.join(', ')}`);
+        }
+        if (action.redirect.extensionPath !== undefined && !action.redirect.extensionPath.startsWith('/')) {
+            fail(`action.redirect.extensionPath must start with '/', got '${action.redirect.extensionPath}'`);
+        }
+        if (action.redirect.regexSubstitution !== undefined && !condition?.regexFilter) {
+            fail('action.redirect.regexSubstitution needs a condition.regexFilter');
+        }
+    } else if (action.redirect !== undefined) {
+        fail(`action.redirect is only used by redirect rules, not ${action.type}`);
+    }
+    if (action.type === 'modifyHeaders') {
+        const headers = [
+            ...(action.requestHeaders || []).map((header, index) => [`action.requestHeaders[${index}]`, header]),
+            ...(action.responseHeaders || []).map((header, index) => [`action.responseHeaders[${index}]`, header]),
+        ];
+        if (headers.length === 0) {
+            fail('modifyHeaders rules need action.requestHeaders or action.responseHeaders');
+        }
+        for (const [headerPath, { header, operation, value }] of headers) {
+            if (!header) {
+                fail(`${headerPath}.header is required`);
+            }
+            if (!HEADER_OPERATIONS.includes(operation)) {
+                fail(`${headerPath}.operation must be one of ${HEADER_OPERATIONS.join(', ')}, got ${operation}`);
+            }
+            if ((operation === 'remove') !== (value === undefined)) {
+                fail(`${headerPath}.value is ${operation === 'remove' ? 'not allowed' : 'required'} for ${operation}`);
+            }
+        }
+    }
+
+    if (!condition || typeof condition !== 'object') {
+        fail('condition is required');
+    }
+    for (const key of Object.keys(condition)) {
+        if (!CONDITION_KEYS.includes(key)) {
+            fail(`unknown condition.${key}, expected one of ${CONDITION_KEYS.join(', ')}`);
+        }
+    }
+    if (condition.urlFilter !== undefined && condition.regexFilter !== undefined) {
+        fail('condition.urlFilter and condition.regexFilter cannot be combined');
+    }
+    if (condition.regexFilter !== undefined) {
+        try {
+            new RegExp(condition.regexFilter);
+        } catch (error) {
+            fail(`condition.regexFilter is not a valid regular expression: ${error.message}`);
+        }
+    }
+    for (const key of ['resourceTypes', 'excludedResourceTypes']) {
+        (condition[key] || []).forEach((type, index) => {
+            if (!RESOURCE_TYPES.includes(type)) {
+                fail(`condition.${key}[${index}] must be one of ${RESOURCE_TYPES.join(', ')}, got '${type}'`);
+            }
+        });
+    }
+    if (condition.resourceTypes && condition.excludedResourceTypes) {
+        fail('condition.resourceTypes and condition.excludedResourceTypes cannot be combined');
+    }
+    for (const key of ['requestMethods', 'excludedRequestMethods']) {
+        (condition[key] || []).forEach((method, index) => {
+            if (!REQUEST_METHODS.includes(method)) {
+                fail(`condition.${key}[${index}] must be one of ${REQUEST_METHODS.join(', ')} (lowercase), got '${method}'`);
+            }
+        });
+    }
+    if (condition.domainType !== undefined && !['firstParty', 'thirdParty'].includes(condition.domainType)) {
+        fail(`condition.domainType must be firstParty or thirdParty, got '${condition.domainType}'`);
+    }
+    if (action.type === 'allowAllRequests'
+        && (!condition.resourceTypes?.length || condition.resourceTypes.some(type => type !== 'main_frame' && type !== 'sub_frame'))) {
+        fail('allowAllRequests rules need condition.resourceTypes with only main_frame and sub_frame');
+    }
+}
+
+/**
+ * The ruleset of a name, created (enabled) on first use
+ * @param {string} id
+ */
+function getRuleset(id) {
+    if (!/^[A-Za-z0-9_-]+$/.test(id) || id.startsWith('_')) {
+        throw new Error(`Invalid ruleset id '${id}', use letters, digits, - and _ (not as first character)`);
+    }
+    if (!RULESETS.has(id)) {
+        RULESETS.set(id, { enabled: true, rules: [] });
+    }
+    return RULESETS.get(id);
+}
+
+/**
+ * Add a rule
+ * @param {NetRequestRule} rule
+ * @returns {number} The id of the rule, e.g. to update it with `chrome.declarativeNetRequest.updateStaticRules`
+ * @throws {Error} If the rule is invalid or its id is taken
+ */
+function addRule(rule) {
+    validateRule(rule);
+    const { ruleset: rulesetId = DEFAULT_RULESET, id, ...fields } = rule;
+    const ruleset = getRuleset(rulesetId);
+    const ids = new Set(ruleset.rules.map(existing => existing.id));
+    if (id !== undefined && ids.has(id)) {
+        throw new Error(`Invalid net request rule: id ${id} is already used in ruleset '${rulesetId}'`);
+    }
+
+    let ruleId = id;
+    if (ruleId === undefined) {
+        ruleId = 1;
+        while (ids.has(ruleId)) {
+            ruleId++;
+        }
+    }
+    ruleset.rules.push({ id: ruleId, priority: 1, ...fields });
+    registerBuildListener();
+    return ruleId;
+}
+
+/**
+ * Path of a ruleset file relative to the platform directory
+ * @param {string} id
+ * @returns {string}
+ */
+function rulesetPath(id) {
+    return `rules/${id}.json`;
+}
+
+function registerBuildListener() {
+    if (BUILD_LISTENER_REGISTERED) {
+        return;
+    }
+    BUILD_LISTENER_REGISTERED = true;
+    onBuild.register(({ outputDir, platforms }) => {
+        for (const platform of targetPlatforms(platforms)) {
+            for (const [id, { rules }] of RULESETS) {
+                writeOutputFile(path.join(outputDir, platform, rulesetPath(id)), JSON.stringify(rules, null, 2));
+            }
+        }
+    });
+}
+
+/**
+ * The manifest entries of the declared rulesets
+ * @returns {{ properties: Record<string, any>, permissions: string[] }}
+ */
+export function netRequestManifestEntries() {
+    if (RULESETS.size === 0) {
+        return { properties: {}, permissions: [] };
+    }
+    return {
+        properties: {
+            declarative_net_request: {
+                rule_resources: Array.from(RULESETS, ([id, { enabled }]) => ({ id, enabled, path: rulesetPath(id) })),
+            },
+        },
+        permissions: ['declarativeNetRequest'],
+    };
+}
+
+// public API, imported in the browserrc file as `import { netRequest } from 'browserrc'`
+export default {
+    rule: addRule,
+
+    /**
+     * Configure a ruleset, rulesets are enabled unless configured otherwise
+     * @param {string} id - The ruleset id, also its file name (`rules/<id>.json`)
+     * @param {{ enabled?: boolean }} options - Disabled rulesets can be enabled at runtime with `updateEnabledRulesets`
+     */
+    ruleset(id, { enabled = true } = {}) {
+        getRuleset(id).enabled = enabled;
+        registerBuildListener();
+    },
+
+    /**
+     * The rules of a ruleset, with their assigned ids
+     * @param {string} [id='default']
+     * @returns {Array<Record<string, any>>}
+     */
+    rules(id = DEFAULT_RULESET) {
+        return RULESETS.get(id)?.rules ?? [];
+    },
+};
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for buildtime/netRequest.js
+ *
+ * Run with: node --test core/buildtime/netRequest.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import netRequest, { netRequestManifestEntries, validateRule } from './netRequest.js';
+import { onBuild, onReset } from './lifecycle.js';
+
+const block = { action: { type: 'block' }, condition: { urlFilter: '||ads.example.com^', resourceTypes: ['script'] } };
+
+describe('validateRule', () => {
+  test('accepts valid rules', () => {
+    validateRule(block);
+    validateRule({ action: { type: 'redirect', redirect: { extensionPath: '/blocked.html' } }, condition: { requestDomains: ['example.com'] } });
+    validateRule({ action: { type: 'redirect', redirect: { regexSubstitution: 'https://\\1' } }, condition: { regexFilter: '^http://(.*)' } });
+    validateRule({
+      action: { type: 'modifyHeaders', requestHeaders: [{ header: 'x-extension', operation: 'set', value: '1' }, { header: 'cookie', operation: 'remove' }] },
+      condition: { urlFilter: '|https://api.example.com/' },
+    });
+    validateRule({ action: { type: 'allowAllRequests' }, condition: { resourceTypes: ['main_frame'] } });
+  });
+
+  test('rejects invalid actions', () => {
+    assert.throws(() => validateRule({ action: { type: 'drop' }, condition: {} }), /action.type must be one of block/);
+    assert.throws(() => validateRule({ action: { type: 'redirect', redirect: {} }, condition: {} }), /exactly one of action.redirect.url/);
+    assert.throws(() => validateRule({ action: { type: 'redirect', redirect: { extensionPath: 'a.html' } }, condition: {} }), /must start with '\/'/);
+    assert.throws(() => validateRule({ action: { type: 'redirect', redirect: { regexSubstitution: '\\1' } }, condition: { urlFilter: 'a' } }), /needs a condition.regexFilter/);
+    assert.throws(() => validateRule({ action: { type: 'block', redirect: { url: 'https://a' } }, condition: {} }), /only used by redirect rules/);
+    assert.throws(() => validateRule({ action: { type: 'modifyHeaders' }, condition: {} }), /need action.requestHeaders or action.responseHeaders/);
+    assert.throws(() => validateRule({ action: { type: 'modifyHeaders', responseHeaders: [{ header: 'a', operation: 'set' }] }, condition: {} }),
+      /action.responseHeaders\[0\].value is required for set/);
+    assert.throws(() => validateRule({ action: { type: 'allowAllRequests' }, condition: { resourceTypes: ['script'] } }), /only main_frame and sub_frame/);
+  });
+
+  test('rejects invalid conditions', () => {
+    assert.throws(() => validateRule({ action: { type: 'block' } }), /condition is required/);
+    assert.throws(() => validateRule({ action: { type: 'block' }, condition: { urlFilters: ['a'] } }), /unknown condition.urlFilters/);
+    assert.throws(() => validateRule({ action: { type: 'block' }, condition: { urlFilter: 'a', regexFilter: 'b' } }), /cannot be combined/);
+    assert.throws(() => validateRule({ action: { type: 'block' }, condition: { regexFilter: '(' } }), /not a valid regular expression/);
+    assert.throws(() => validateRule({ action: { type: 'block' }, condition: { resourceTypes: ['scripts'] } }), /resourceTypes\[0\] must be one of/);
+    assert.throws(() => validateRule({ action: { type: 'block' }, condition: { requestMethods: ['GET'] } }), /\(lowercase\), got 'GET'/);
+    assert.throws(() => validateRule({ action: { type: 'block' }, condition: { domainType: 'first' } }), /domainType must be firstParty or thirdParty/);
+    assert.throws(() => validateRule({ ...block, priority: 0 }), /priority must be a positive integer/);
+  });
+});
+
+describe('netRequest', () => {
+  afterEach(() => {
+    onReset.trigger();
+    onBuild.clear();
+  });
+
+  test('assigns ids per ruleset', () => {
+    assert.strictEqual(netRequest.rule({ ...block, id: 2 }), 2);
+    assert.strictEqual(netRequest.rule(block), 1);
+    assert.strictEqual(netRequest.rule(block), 3);
+    assert.strictEqual(netRequest.rule({ ...block, ruleset: 'trackers' }), 1);
+    assert.throws(() => netRequest.rule({ ...block, id: 3 }), /id 3 is already used in ruleset 'default'/);
+
+    assert.deepStrictEqual(netRequest.rules().map(rule => rule.id), [2, 1, 3]);
+    assert.deepStrictEqual(netRequest.rules('trackers')[0], { id: 1, priority: 1, ...block });
+  });
+
+  test('declares the rulesets in the manifest', () => {
+    assert.deepStrictEqual(netRequestManifestEntries(), { properties: {}, permissions: [] });
+
+    netRequest.rule(block);
+    netRequest.ruleset('strict', { enabled: false });
+    netRequest.rule({ ...block, ruleset: 'strict' });
+
+    assert.deepStrictEqual(netRequestManifestEntries(), {
+      properties: {
+        declarative_net_request: {
+          rule_resources: [
+            { id: 'default', enabled: true, path: 'rules/default.json' },
+            { id: 'strict', enabled: false, path: 'rules/strict.json' },
+          ],
+        },
+      },
+      permissions: ['declarativeNetRequest'],
+    });
+    assert.throws(() => netRequest.ruleset('_private'), /Invalid ruleset id '_private'/);
+  });
+
+  test('writes a ruleset file per platform', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-dnr-'));
+    try {
+      netRequest.rule({ ...block, priority: 2 });
+      await onBuild.triggerAsync({ outputDir, platforms: { chrome: true, firefox: true } });
+
+      for (const platform of ['chrome', 'firefox']) {
+        const rules = JSON.parse(fs.readFileSync(path.join(outputDir, platform, 'rules', 'default.json'), 'utf8'));
+        assert.deepStrictEqual(rules, [{ id: 1, priority: 2, ...block }]);
+      }
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
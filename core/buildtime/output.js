@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+
+// Absolute paths of every file emitted since the last takeEmittedFiles() call
+const EMITTED_FILES = new Set();
+
+// Subset of EMITTED_FILES whose content actually changed on disk
+const CHANGED_FILES = new Set();
+
+/**
+ * Write a build output, leaving the file untouched if its content is already up to date.
+ *
+ * Skipping identical writes keeps modification times stable across rebuilds, so watchers
+ * (and the browser) only see the outputs that really changed.
+ *
+ * @param {string} filePath - Path of the output file
+ * @param {string | Uint8Array} content - The file content
+ * @returns {boolean} Whether the file was written
+ */
+export function writeOutputFile(filePath, content) {
+    const resolvedPath = path.resolve(filePath);
+    EMITTED_FILES.add(resolvedPath);
+
+    const buffer = typeof content === 'string' ? Buffer.from(content) : content;
+    if (fs.existsSync(resolvedPath) && Buffer.compare(fs.readFileSync(resolvedPath), buffer) === 0) {
+        return false;
+    }
+
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(resolvedPath, buffer);
+    CHANGED_FILES.add(resolvedPath);
+    return true;
+}
+
+/**
+ * Return the files emitted since the last call and start tracking from scratch
+ * @returns {{ emitted: Set<string>, changed: Set<string> }} Absolute paths
+ */
+export function takeEmittedFiles() {
+    const result = { emitted: new Set(EMITTED_FILES), changed: new Set(CHANGED_FILES) };
+    EMITTED_FILES.clear();
+    CHANGED_FILES.clear();
+    return result;
+}
+
+/**
+ * Remove the outputs of a previous build that the latest build no longer produced
+ * @param {Set<string>} previousOutputs - Absolute paths, from the previous call
+ * @param {import('./index.js').BuildReport} report - The report of the latest build
+ * @returns {Set<string>} Absolute paths of the latest outputs, to pass to the next call
+ */
+export function removeStaleOutputs(previousOutputs, report) {
+    const outputs = new Set();
+    for (const { outputDir, files } of Object.values(report.platforms)) {
+        files.forEach(file => outputs.add(path.resolve(outputDir, file.path)));
+    }
+    for (const stalePath of previousOutputs) {
+        if (!outputs.has(stalePath) && fs.existsSync(stalePath)) {
+            console.debug('[watch] removing stale output', stalePath);
+            fs.rmSync(stalePath);
+        }
+    }
+    return outputs;
+}
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for buildtime/output.js
+ *
+ * Run with: node --test core/buildtime/output.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { removeStaleOutputs, takeEmittedFiles, writeOutputFile } from './output.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-output-'));
+  takeEmittedFiles();
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('writeOutputFile', () => {
+  test('writes new files and creates their directory', () => {
+    const filePath = path.join(dir, 'chrome', 'background.js');
+    assert.strictEqual(writeOutputFile(filePath, 'run();'), true);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'run();');
+    assert.deepStrictEqual(takeEmittedFiles(), { emitted: new Set([filePath]), changed: new Set([filePath]) });
+  });
+
+  test('leaves identical content untouched and records changed files only', () => {
+    const same = path.join(dir, 'manifest.json');
+    const edited = path.join(dir, 'popup.js');
+    writeOutputFile(same, '{}');
+    writeOutputFile(edited, 'a();');
+    takeEmittedFiles();
+    const modified = fs.statSync(same).mtimeMs;
+
+    assert.strictEqual(writeOutputFile(same, Buffer.from('{}')), false);
+    assert.strictEqual(writeOutputFile(edited, 'b();'), true);
+
+    assert.strictEqual(fs.statSync(same).mtimeMs, modified);
+    assert.strictEqual(fs.readFileSync(edited, 'utf8'), 'b();');
+    assert.deepStrictEqual(takeEmittedFiles(), { emitted: new Set([same, edited]), changed: new Set([edited]) });
+    assert.deepStrictEqual(takeEmittedFiles(), { emitted: new Set(), changed: new Set() });
+  });
+});
+
+describe('removeStaleOutputs', () => {
+  const reportOf = (files) => ({
+    outputDir: dir,
+    duration: 0,
+    platforms: { chrome: { outputDir: path.join(dir, 'chrome'), files: files.map(file => ({ path: file, size: 0, changed: false })) } },
+  });
+
+  test('removes outputs the latest build no longer produced', () => {
+    writeOutputFile(path.join(dir, 'chrome', 'background.js'), 'run();');
+    writeOutputFile(path.join(dir, 'chrome', 'content/old.js'), 'old();');
+
+    const first = removeStaleOutputs(new Set(), reportOf(['background.js', 'content/old.js']));
+    assert.deepStrictEqual(first, new Set([path.join(dir, 'chrome', 'background.js'), path.join(dir, 'chrome', 'content', 'old.js')]));
+
+    const second = removeStaleOutputs(first, reportOf(['background.js']));
+    assert.deepStrictEqual(second, new Set([path.join(dir, 'chrome', 'background.js')]));
+    assert.strictEqual(fs.existsSync(path.join(dir, 'chrome', 'background.js')), true);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'chrome', 'content', 'old.js')), false);
+  });
+});
@@ -0,0 +1,154 @@
+// Inference of the permissions the generated code needs
+//
+// Every script a build writes is scanned for `chrome.*` / `browser.*` API usage, buildManifests()
+// compares the result with the declared permissions.
+
+// Extension API namespaces (or members) that can only be used with a permission
+const API_PERMISSIONS = {
+    alarms: 'alarms',
+    bookmarks: 'bookmarks',
+    browsingData: 'browsingData',
+    contentSettings: 'contentSettings',
+    contextMenus: 'contextMenus',
+    cookies: 'cookies',
+    debugger: 'debugger',
+    declarativeContent: 'declarativeContent',
+    declarativeNetRequest: 'declarativeNetRequest',
+    desktopCapture: 'desktopCapture',
+    documentScan: 'documentScan',
+    downloads: 'downloads',
+    fontSettings: 'fontSettings',
+    gcm: 'gcm',
+    history: 'history',
+    identity: 'identity',
+    idle: 'idle',
+    management: 'management',
+    menus: 'menus',
+    notifications: 'notifications',
+    offscreen: 'offscreen',
+    pageCapture: 'pageCapture',
+    power: 'power',
+    printerProvider: 'printerProvider',
+    privacy: 'privacy',
+    proxy: 'proxy',
+    readingList: 'readingList',
+    scripting: 'scripting',
+    search: 'search',
+    sessions: 'sessions',
+    sidePanel: 'sidePanel',
+    storage: 'storage',
+    'system.cpu': 'system.cpu',
+    'system.display': 'system.display',
+    'system.memory': 'system.memory',
+    'system.storage': 'system.storage',
+    tabCapture: 'tabCapture',
+    tabGroups: 'tabGroups',
+    topSites: 'topSites',
+    tts: 'tts',
+    ttsEngine: 'ttsEngine',
+    userScripts: 'userScripts',
+    webNavigation: 'webNavigation',
+    webRequest: 'webRequest',
+    'runtime.connectNative': 'nativeMessaging',
+    'runtime.sendNativeMessage': 'nativeMessaging',
+};
+
+// Most of chrome.tabs works without the "tabs" permission (it only unlocks urls and titles), so using
+// it never makes the permission missing, but it does count as a use of a declared "tabs" permission
+const USAGE_ONLY_PERMISSIONS = {
+    tabs: 'tabs',
+};
+
+// Permissions that grant each other's APIs (Firefox accepts both names for its menus API)
+const PERMISSION_ALIASES = {
+    contextMenus: 'menus',
+    menus: 'contextMenus',
+};
+
+const API_ACCESS = /\b(?:chrome|browser)\s*\.\s*([A-Za-z]+)(?:\s*\.\s*([A-Za-z]+))?/g;
+
+/**
+ * @typedef {Object} ApiUsage
+ * @property {boolean} required - Whether the code cannot work without the permission
+ * @property {Set<string>} apis - The APIs using it, e.g. `chrome.storage`
+ * @property {Set<string>} files - The files using it
+ */
+
+// Usage per platform, collected since the last takeApiUsage() call
+/** @type {Map<string, Map<string, ApiUsage>>} */
+const API_USAGE = new Map();
+
+/**
+ * Find the permissions a piece of code uses
+ * @param {string} code
+ * @returns {Array<{ permission: string, api: string, required: boolean }>} One entry per permission, in order of first use
+ */
+export function scanApiUsage(code) {
+    const found = new Map();
+    for (const [api, namespace, member] of code.matchAll(API_ACCESS)) {
+        const qualified = member ? `${namespace}.${member}` : namespace;
+        const permission = API_PERMISSIONS[qualified] ?? API_PERMISSIONS[namespace];
+        const usageOnly = USAGE_ONLY_PERMISSIONS[namespace];
+        if (permission && !found.get(permission)?.required) {
+            found.set(permission, { permission, api: api.replace(/\s/g, ''), required: true });
+        } else if (usageOnly && !found.has(usageOnly)) {
+            found.set(usageOnly, { permission: usageOnly, api: api.replace(/\s/g, ''), required: false });
+        }
+    }
+    return Array.from(found.values());
+}
+
+/**
+ * Record the API usage of a script written for a platform
+ * @param {string} platform - The platform name
+ * @param {string} file - Path of the script relative to the platform directory
+ * @param {string} code - The final (bundled) code
+ */
+export function recordApiUsage(platform, file, code) {
+    if (!API_USAGE.has(platform)) {
+        API_USAGE.set(platform, new Map());
+    }
+    const platformUsage = API_USAGE.get(platform);
+    for (const { permission, api, required } of scanApiUsage(code)) {
+        const usage = platformUsage.get(permission) ?? { required: false, apis: new Set(), files: new Set() };
+        usage.required ||= required;
+        usage.apis.add(api);
+        usage.files.add(file);
+        platformUsage.set(permission, usage);
+    }
+}
+
+/**
+ * Return the usage recorded since the last call and start recording from scratch
+ * @returns {Map<string, Map<string, ApiUsage>>} Usage per platform, by permission
+ */
+export function takeApiUsage() {
+    const result = new Map(API_USAGE);
+    API_USAGE.clear();
+    return result;
+}
+
+/**
+ * Compare the declared permissions of a platform with what its code uses
+ * @param {string[]} declared - Required permissions of the manifest
+ * @param {Map<string, ApiUsage> | undefined} usage - The usage recorded for the platform
+ * @param {string[]} [optional=[]] - Optional permissions, the code may use them but they are never unused
+ * @returns {{ missing: Array<{ permission: string } & ApiUsage>, unused: string[] }}
+ *   Permissions the code needs but are not declared, and declared permissions of APIs the code never uses.
+ *   Permissions without an API of their own (host permissions, activeTab, ...) are never unused.
+ */
+export function comparePermissions(declared, usage = new Map(), optional = []) {
+    const declaredSet = new Set(declared);
+    const available = [...declared, ...optional];
+    const granted = new Set([...available, ...available.map(permission => PERMISSION_ALIASES[permission]).filter(Boolean)]);
+    const missing = Array.from(usage.entries())
+        .filter(([permission, { required }]) => required && !granted.has(permission))
+        .map(([permission, details]) => ({ permission, ...details }));
+
+    const knownPermissions = new Set([...Object.values(API_PERMISSIONS), ...Object.values(USAGE_ONLY_PERMISSIONS)]);
+    const unused = Array.from(declaredSet)
+        .filter(permission => knownPermissions.has(permission)
+            && !usage.has(permission) && !usage.has(PERMISSION_ALIASES[permission]));
+
+    return { missing, unused };
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for buildtime/permissionInference.js
+ *
+ * Run with: node --test core/buildtime/permissionInference.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { comparePermissions, recordApiUsage, scanApiUsage, takeApiUsage } from './permissionInference.js';
+
+describe('scanApiUsage', () => {
+  test('finds permissions of chrome and browser APIs', () => {
+    const code = `
+      chrome.storage.sync.get('a');
+      browser.alarms.create('tick', { periodInMinutes: 1 });
+      chrome . contextMenus.create({});
+      chrome.runtime.sendMessage({});
+    `;
+
+    assert.deepStrictEqual(scanApiUsage(code), [
+      { permission: 'storage', api: 'chrome.storage.sync', required: true },
+      { permission: 'alarms', api: 'browser.alarms.create', required: true },
+      { permission: 'contextMenus', api: 'chrome.contextMenus.create', required: true },
+    ]);
+  });
+
+  test('maps members to their permission', () => {
+    assert.deepStrictEqual(scanApiUsage('chrome.runtime.connectNative("app"); chrome.system.cpu.getInfo()').map(usage => usage.permission),
+      ['nativeMessaging', 'system.cpu']);
+  });
+
+  test('tabs usage does not require the tabs permission', () => {
+    assert.deepStrictEqual(scanApiUsage('chrome.tabs.create({})'), [{ permission: 'tabs', api: 'chrome.tabs.create', required: false }]);
+  });
+
+  test('ignores other objects', () => {
+    assert.deepStrictEqual(scanApiUsage('mychrome.storage.get(); window.storage; chromeStorage.get()'), []);
+  });
+});
+
+describe('recordApiUsage', () => {
+  test('collects usage per platform until taken', () => {
+    takeApiUsage();
+    recordApiUsage('chrome', 'background.js', 'chrome.storage.local.get()');
+    recordApiUsage('chrome', 'content/a.js', 'chrome.storage.sync.get()');
+    recordApiUsage('firefox', 'background.js', 'browser.alarms.create()');
+
+    const usage = takeApiUsage();
+    const storage = usage.get('chrome').get('storage');
+    assert.deepStrictEqual(Array.from(storage.files), ['background.js', 'content/a.js']);
+    assert.deepStrictEqual(Array.from(storage.apis), ['chrome.storage.local', 'chrome.storage.sync']);
+    assert.deepStrictEqual(Array.from(usage.get('firefox').keys()), ['alarms']);
+    assert.strictEqual(takeApiUsage().size, 0);
+  });
+});
+
+describe('comparePermissions', () => {
+  const usageOf = (code) => {
+    takeApiUsage();
+    recordApiUsage('chrome', 'background.js', code);
+    return takeApiUsage().get('chrome');
+  };
+
+  test('reports missing and unused permissions', () => {
+    const { missing, unused } = comparePermissions(['alarms', 'activeTab', 'https://example.com/*'], usageOf('chrome.storage.local.get()'));
+
+    assert.deepStrictEqual(missing.map(entry => entry.permission), ['storage']);
+    assert.deepStrictEqual(unused, ['alarms']);
+  });
+
+  test('tabs usage keeps a declared tabs permission used, but is never missing', () => {
+    assert.deepStrictEqual(comparePermissions(['tabs'], usageOf('chrome.tabs.query({})')), { missing: [], unused: [] });
+    assert.deepStrictEqual(comparePermissions([], usageOf('chrome.tabs.query({})')), { missing: [], unused: [] });
+  });
+
+  test('menus and contextMenus grant each other', () => {
+    assert.deepStrictEqual(comparePermissions(['contextMenus'], usageOf('browser.menus.create({})')), { missing: [], unused: [] });
+  });
+
+  test('optional permissions are never missing nor unused', () => {
+    assert.deepStrictEqual(comparePermissions([], usageOf('chrome.bookmarks.getTree()'), ['bookmarks', 'history']), { missing: [], unused: [] });
+  });
+
+  test('works without recorded usage', () => {
+    assert.deepStrictEqual(comparePermissions(['storage'], undefined), { missing: [], unused: ['storage'] });
+  });
+});
@@ -0,0 +1,137 @@
+// Registry of the platforms (browsers) browserrc can build for
+//
+// Writers never hard-code platform names: they iterate over targetPlatforms() and look up
+// platform specific manifest details with getPlatform().
+
+import { onReset } from './lifecycle.js';
+
+/**
+ * @typedef {Object} PlatformDefinition
+ * @property {string} name - Name of the platform, also the name of its output directory
+ * @property {2 | 3} [manifestVersion=3] - The manifest_version to emit, Manifest V2 output is translated from the same rc config
+ * @property {'service_worker' | 'scripts'} [background='service_worker'] - How the background script is declared in the manifest
+ * @property {'chromium' | 'gecko'} [engine='chromium'] - The browser engine, decides which manifest keys and
+ *   shortcuts the platform supports (e.g. `side_panel` or `sidebar_action`)
+ * @property {Record<string, any>} [browserSpecificSettings] - Emitted as the manifest `browser_specific_settings` key
+ * @property {string} [archiveExtension='.zip'] - Extension of packaged archives
+ */
+
+const PLATFORM_DEFAULTS = {
+    manifestVersion: 3,
+    background: 'service_worker',
+    engine: 'chromium',
+    browserSpecificSettings: undefined,
+    archiveExtension: '.zip',
+};
+
+/** @type {PlatformDefinition[]} */
+const BUILTIN_PLATFORMS = [
+    {
+        name: 'chrome',
+    },
+    {
+        name: 'firefox',
+        background: 'scripts',
+        engine: 'gecko',
+        archiveExtension: '.xpi',
+    },
+];
+
+/** @type {Map<string, Required<PlatformDefinition>>} */
+const PLATFORMS = new Map();
+
+/**
+ * Register a platform, replacing any platform with the same name
+ * @param {PlatformDefinition} definition
+ * @returns {Required<PlatformDefinition>} The registered platform
+ */
+export function registerPlatform(definition) {
+    if (!definition?.name || !/^[a-z0-9][a-z0-9._-]*$/i.test(definition.name)) {
+        throw new Error(`Invalid platform name '${definition?.name}', it is used as a directory name`);
+    }
+    const platform = { ...PLATFORM_DEFAULTS, ...definition };
+    if (![2, 3].includes(platform.manifestVersion)) {
+        throw new Error(`Platform '${platform.name}' has an unsupported manifestVersion ${platform.manifestVersion}, expected 2 or 3`);
+    }
+    if (!['service_worker', 'scripts'].includes(platform.background)) {
+        throw new Error(`Platform '${platform.name}' has an invalid background '${platform.background}', expected 'service_worker' or 'scripts'`);
+    }
+    if (!['chromium', 'gecko'].includes(platform.engine)) {
+        throw new Error(`Platform '${platform.name}' has an invalid engine '${platform.engine}', expected 'chromium' or 'gecko'`);
+    }
+    PLATFORMS.set(platform.name, platform);
+    return platform;
+}
+
+/**
+ * Change settings of a registered platform, e.g. the Firefox add-on id
+ * @param {string} name - The platform name
+ * @param {Partial<PlatformDefinition>} overrides
+ * @returns {Required<PlatformDefinition>}
+ */
+export function configurePlatform(name, overrides) {
+    return registerPlatform({ ...getPlatform(name), ...overrides, name });
+}
+
+/**
+ * Look up a registered platform
+ * @param {string} name
+ * @returns {Required<PlatformDefinition>}
+ * @throws {Error} If no platform with that name is registered
+ */
+export function getPlatform(name) {
+    const platform = PLATFORMS.get(name);
+    if (!platform) {
+        throw new Error(`Unknown platform '${name}'. Registered platforms: ${Array.from(PLATFORMS.keys()).join(', ')}`);
+    }
+    return platform;
+}
+
+/**
+ * @returns {string[]} Names of all registered platforms, in registration order
+ */
+export function listPlatforms() {
+    return Array.from(PLATFORMS.keys());
+}
+
+/**
+ * Normalize the `platforms` build option: every registered platform when omitted
+ * @param {Record<string, boolean> | undefined} platforms
+ * @returns {Record<string, true>}
+ * @throws {Error} If a selected platform is not registered
+ */
+export function resolvePlatforms(platforms) {
+    const names = platforms
+        ? Object.keys(platforms).filter(name => platforms[name])
+        : listPlatforms();
+    if (names.length === 0) {
+        throw new Error('No platforms selected to build for');
+    }
+    return Object.fromEntries(names.map(name => [getPlatform(name).name, true]));
+}
+
+/**
+ * Names of the platforms to write outputs for
+ * @param {Record<string, boolean> | undefined} platforms - The platforms being built
+ * @param {Record<string, boolean>} [restrictTo] - Only keep platforms that are also enabled here (e.g. a content script's `platforms` option)
+ * @returns {string[]}
+ */
+export function targetPlatforms(platforms, restrictTo) {
+    return listPlatforms().filter(name => platforms?.[name] && (!restrictTo || restrictTo[name]));
+}
+
+function registerBuiltinPlatforms() {
+    PLATFORMS.clear();
+    BUILTIN_PLATFORMS.forEach(registerPlatform);
+}
+
+registerBuiltinPlatforms();
+onReset.register(registerBuiltinPlatforms);
+
+// public API, imported in the browserrc file as `import { platforms } from 'browserrc'`
+export default {
+    register: registerPlatform,
+    configure: configurePlatform,
+    get: getPlatform,
+    list: listPlatforms,
+};
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for buildtime/platforms.js
+ *
+ * Run with: node --test core/buildtime/platforms.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { registerPlatform, configurePlatform, getPlatform, listPlatforms, resolvePlatforms, targetPlatforms } from './platforms.js';
+import { onReset } from './lifecycle.js';
+
+describe('platforms', () => {
+  afterEach(() => onReset.trigger());
+
+  test('registers chrome and firefox by default', () => {
+    assert.deepStrictEqual(listPlatforms(), ['chrome', 'firefox']);
+    assert.strictEqual(getPlatform('chrome').background, 'service_worker');
+    assert.strictEqual(getPlatform('firefox').background, 'scripts');
+    assert.strictEqual(getPlatform('firefox').engine, 'gecko');
+    assert.strictEqual(getPlatform('firefox').archiveExtension, '.xpi');
+  });
+
+  test('registers new platforms with defaults', () => {
+    registerPlatform({ name: 'edge' });
+
+    assert.deepStrictEqual(listPlatforms(), ['chrome', 'firefox', 'edge']);
+    assert.strictEqual(getPlatform('edge').manifestVersion, 3);
+    assert.strictEqual(getPlatform('edge').background, 'service_worker');
+    assert.strictEqual(getPlatform('edge').engine, 'chromium');
+  });
+
+  test('configures registered platforms', () => {
+    configurePlatform('firefox', { browserSpecificSettings: { gecko: { id: 'test@example.com' } } });
+
+    assert.deepStrictEqual(getPlatform('firefox').browserSpecificSettings, { gecko: { id: 'test@example.com' } });
+    assert.strictEqual(getPlatform('firefox').background, 'scripts');
+  });
+
+  test('reset restores the built-in platforms', () => {
+    registerPlatform({ name: 'opera' });
+    onReset.trigger();
+
+    assert.deepStrictEqual(listPlatforms(), ['chrome', 'firefox']);
+  });
+
+  test('rejects invalid definitions', () => {
+    assert.throws(() => registerPlatform({ name: '../escape' }), /Invalid platform name/);
+    assert.throws(() => registerPlatform({ name: 'edge', background: 'page' }), /invalid background/);
+    assert.throws(() => registerPlatform({ name: 'safari', engine: 'webkit' }), /invalid engine 'webkit'/);
+  });
+
+  test('getPlatform throws for unknown platforms', () => {
+    assert.throws(() => getPlatform('safari'), /Unknown platform 'safari'. Registered platforms: chrome, firefox/);
+  });
+
+  test('resolvePlatforms defaults to every registered platform', () => {
+    registerPlatform({ name: 'edge' });
+
+    assert.deepStrictEqual(resolvePlatforms(undefined), { chrome: true, firefox: true, edge: true });
+    assert.deepStrictEqual(resolvePlatforms({ firefox: true, chrome: false }), { firefox: true });
+    assert.throws(() => resolvePlatforms({ safari: true }), /Unknown platform/);
+    assert.throws(() => resolvePlatforms({}), /No platforms selected/);
+  });
+
+  test('targetPlatforms keeps registration order and restrictions', () => {
+    assert.deepStrictEqual(targetPlatforms({ firefox: true, chrome: true }), ['chrome', 'firefox']);
+    assert.deepStrictEqual(targetPlatforms({ firefox: true, chrome: true }, { firefox: true }), ['firefox']);
+    assert.deepStrictEqual(targetPlatforms(undefined), []);
+  });
+});
@@ -0,0 +1,125 @@
+// Content scripts registered at runtime by the background script with `chrome.scripting`, instead of
+// being declared in the manifest. Their match patterns can come from a setting, so users choose the
+// sites a script runs on; the registration follows every change of the setting.
+
+import { onReset } from './lifecycle.js';
+import { uniqueIdentifier } from './identifiers.js';
+import { settingsSchema } from './settingsSchema.js';
+
+// manifest keys registerContentScripts has no equivalent for
+const UNSUPPORTED_KEYS = ['include_globs', 'exclude_globs', 'match_about_blank'];
+
+// ids of the registered scripts, ids are unique
+const SCRIPT_IDS = new Set();
+
+onReset.register(() => {
+    SCRIPT_IDS.clear();
+});
+
+/**
+ * Convert a `content_scripts` entry to a `chrome.scripting.registerContentScripts` script
+ * @param {string} id - Unique among the registered scripts
+ * @param {Record<string, any>} entry - From buildContentScriptEntry(), matches are left out
+ * @returns {Record<string, any>}
+ * @throws {Error} If the entry uses a key the scripting API does not support or the id is taken
+ */
+export function toRegisteredScript(id, entry) {
+    if (!id || id.startsWith('_')) {
+        throw new Error(`Invalid runtime content script id '${id}', ids cannot be empty or start with _`);
+    }
+    if (SCRIPT_IDS.has(id)) {
+        throw new Error(`Runtime content script id '${id}' is already used`);
+    }
+    const unsupported = UNSUPPORTED_KEYS.filter(key => entry[key] !== undefined);
+    if (unsupported.length > 0) {
+        throw new Error(`Runtime content script '${id}' cannot use ${unsupported.join(', ')}, register it in the manifest instead`);
+    }
+    SCRIPT_IDS.add(id);
+    return {
+        id,
+        ...(entry.js && { js: entry.js }),
+        ...(entry.css && { css: entry.css }),
+        ...(entry.exclude_matches && { excludeMatches: entry.exclude_matches }),
+        runAt: entry.run_at,
+        allFrames: entry.all_frames,
+        ...(entry.world && { world: entry.world }),
+    };
+}
+
+/**
+ * Check that a setting can provide match patterns
+ * @param {string} key
+ * @throws {Error} If the setting is not defined or not a list
+ */
+export function validateMatchesSetting(key) {
+    const definition = settingsSchema()[key];
+    if (!definition) {
+        throw new Error(`Unknown setting '${key}' for content script matches, define it with settings.define() first`);
+    }
+    if (definition.type !== 'list') {
+        throw new Error(`Setting '${key}' provides content script matches and must be a list, got ${definition.type}`);
+    }
+}
+
+/**
+ * Name of the background function (re)registering a script with a list of match patterns
+ * @param {string} id
+ * @returns {string}
+ */
+function syncFunctionName(id) {
+    return uniqueIdentifier('syncContentScript', id);
+}
+
+/**
+ * The background code registering a script on install and startup, with fixed matches or the value
+ * of a setting, re-registered whenever the setting changes
+ *
+ * Scripts are registered for the session only (`persistAcrossSessions: false`) and registered again
+ * on startup, which behaves the same in every browser.
+ *
+ * @param {Record<string, any>} script - From toRegisteredScript()
+ * @param {string[] | { setting: string }} matches
+ * @returns {string}
+ */
+export function registrationCode(script, matches) {
+    const sync = syncFunctionName(script.id);
+    const register = Array.isArray(matches)
+        ? `() => ${sync}(${JSON.stringify(matches)})`
+        : `() => getSetting(${JSON.stringify(matches.setting)}).then(${sync})`;
+    const lines = [
+        `const ${sync} = (matches) => syncContentScript(${JSON.stringify(script)}, matches);`,
+        `chrome.runtime.onInstalled.addListener(${register});`,
+        `chrome.runtime.onStartup.addListener(${register});`,
+    ];
+    if (!Array.isArray(matches)) {
+        lines.push(`watchSetting(${JSON.stringify(matches.setting)}, ${sync});`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Whether a platform has the `chrome.scripting` API, which Chromium only has from Manifest V3 on
+ * @param {{ manifestVersion: 2 | 3, engine: 'chromium' | 'gecko' }} platform
+ * @returns {boolean}
+ */
+export function hasScriptingApi(platform) {
+    return !(platform.engine === 'chromium' && platform.manifestVersion === 2);
+}
+
+/**
+ * The manifest entries runtime content scripts need on a platform
+ * @param {{ name: string, manifestVersion: 2 | 3, engine: 'chromium' | 'gecko' }} platform
+ * @returns {{ permissions: string[], warnings: string[] }}
+ */
+export function runtimeContentScriptEntries(platform) {
+    if (SCRIPT_IDS.size === 0) {
+        return { permissions: [], warnings: [] };
+    }
+    if (!hasScriptingApi(platform)) {
+        return {
+            permissions: [],
+            warnings: [`${platform.name} has no scripting API in Manifest V2, ${Array.from(SCRIPT_IDS).join(', ')} will not be registered`],
+        };
+    }
+    return { permissions: ['scripting'], warnings: [] };
+}
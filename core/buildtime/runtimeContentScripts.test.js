@@ -0,0 +1,98 @@
+/**
+ * Unit tests for buildtime/runtimeContentScripts.js
+ *
+ * Run with: node --test core/buildtime/runtimeContentScripts.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { hasScriptingApi, registrationCode, runtimeContentScriptEntries, toRegisteredScript, validateMatchesSetting } from './runtimeContentScripts.js';
+import { buildContentScriptEntry } from './contentScriptEntries.js';
+import { defineSettings } from './settingsSchema.js';
+import { onReset } from './lifecycle.js';
+
+const chrome = { name: 'chrome', manifestVersion: 3, engine: 'chromium' };
+const chromeMV2 = { name: 'chrome-mv2', manifestVersion: 2, engine: 'chromium' };
+
+afterEach(() => {
+  onReset.trigger();
+});
+
+describe('toRegisteredScript', () => {
+  test('converts a manifest entry to the scripting API format', () => {
+    const entry = buildContentScriptEntry({
+      js: ['content/highlight.js'],
+      css: ['content/highlight.css'],
+      exclude_matches: ['https://admin.example.com/*'],
+      run_at: 'document_start',
+      world: 'MAIN',
+    });
+    assert.deepStrictEqual(toRegisteredScript('highlight', entry), {
+      id: 'highlight',
+      js: ['content/highlight.js'],
+      css: ['content/highlight.css'],
+      excludeMatches: ['https://admin.example.com/*'],
+      runAt: 'document_start',
+      allFrames: false,
+      world: 'MAIN',
+    });
+  });
+
+  test('rejects unsupported keys and taken ids', () => {
+    const entry = buildContentScriptEntry({ js: ['a.js'] });
+    assert.throws(() => toRegisteredScript('_a', entry), /ids cannot be empty or start with _/);
+    assert.throws(
+      () => toRegisteredScript('a', buildContentScriptEntry({ js: ['a.js'], include_globs: ['*docs*'] })),
+      /Runtime content script 'a' cannot use include_globs, register it in the manifest instead/,
+    );
+    toRegisteredScript('a', entry);
+    assert.throws(() => toRegisteredScript('a', entry), /id 'a' is already used/);
+  });
+});
+
+describe('validateMatchesSetting', () => {
+  test('needs a defined list setting', () => {
+    assert.throws(() => validateMatchesSetting('allowlist'), /Unknown setting 'allowlist'/);
+    defineSettings({ allowlist: { type: 'list', default: [] }, theme: { type: 'string', default: 'dark' } });
+    validateMatchesSetting('allowlist');
+    assert.throws(() => validateMatchesSetting('theme'), /must be a list, got string/);
+  });
+});
+
+describe('registrationCode', () => {
+  const script = { id: 'content-highlight', js: ['content/highlight.js'], runAt: 'document_idle', allFrames: false };
+
+  test('registers fixed matches on install and startup', () => {
+    const code = registrationCode(script, ['https://*.example.com/*']);
+    assert.match(code, /^const syncContentScript_content_highlight = \(matches\) => syncContentScript\(\{"id":"content-highlight",/);
+    assert.match(code, /chrome\.runtime\.onInstalled\.addListener\(\(\) => syncContentScript_content_highlight\(\["https:\/\/\*\.example\.com\/\*"\]\)\);/);
+    assert.match(code, /chrome\.runtime\.onStartup\.addListener\(/);
+    assert.doesNotMatch(code, /watchSetting/);
+  });
+
+  test('follows the matches of a setting', () => {
+    const code = registrationCode(script, { setting: 'allowlist' });
+    assert.match(code, /chrome\.runtime\.onInstalled\.addListener\(\(\) => getSetting\("allowlist"\)\.then\(syncContentScript_content_highlight\)\);/);
+    assert.match(code, /watchSetting\("allowlist", syncContentScript_content_highlight\);$/);
+  });
+});
+
+describe('hasScriptingApi', () => {
+  test('is missing from Chromium Manifest V2 only', () => {
+    assert.strictEqual(hasScriptingApi(chrome), true);
+    assert.strictEqual(hasScriptingApi(chromeMV2), false);
+    assert.strictEqual(hasScriptingApi({ name: 'firefox', manifestVersion: 2, engine: 'gecko' }), true);
+  });
+});
+
+describe('runtimeContentScriptEntries', () => {
+  test('needs scripting once a script is registered, which Chromium Manifest V2 lacks', () => {
+    assert.deepStrictEqual(runtimeContentScriptEntries(chrome), { permissions: [], warnings: [] });
+    toRegisteredScript('highlight', buildContentScriptEntry({ js: ['highlight.js'] }));
+    assert.deepStrictEqual(runtimeContentScriptEntries(chrome), { permissions: ['scripting'], warnings: [] });
+    assert.deepStrictEqual(runtimeContentScriptEntries(chromeMV2), {
+      permissions: [],
+      warnings: ['chrome-mv2 has no scripting API in Manifest V2, highlight will not be registered'],
+    });
+  });
+});
@@ -0,0 +1,19 @@
+import background from "./background.js";
+import { alarmCode, declareAlarm, handlerName } from "./alarms.js";
+
+/**
+ * Run a function in the background script on a schedule, with `chrome.alarms`
+ *
+ * Unlike timers, alarms survive the background script being stopped. The handler is serialized into
+ * the background script like `manifest.action` handlers, so it cannot use variables of the rc file.
+ *
+ * @param {string} name - The alarm name, unique
+ * @param {import("./alarms.js").AlarmTiming} timing - `periodInMinutes` to repeat, `when` to run once
+ * @param {(alarm: object) => void} fn - Called with the alarm each time it fires
+ * @throws {Error} If the declaration is invalid or the name is taken
+ */
+export function schedule(name, timing, fn) {
+    const alarmInfo = declareAlarm(name, timing, fn);
+    background.code.includeFunction(fn, handlerName(name));
+    background.code.addBlock(alarmCode(name, alarmInfo));
+}
@@ -0,0 +1,67 @@
+import path from "path";
+import background from "./background.js";
+import { CodeFile } from "./code.js";
+import { onBuild } from "./lifecycle.js";
+import { targetPlatforms } from "./platforms.js";
+import { writeCodeFile } from "./bundle.js";
+import { PAGE_DIRECTORIES } from "./extensionPages.js";
+import { defineSettings, settingsPageHTML, settingsSchema } from "./settingsSchema.js";
+import { html } from "../codegen/html/htmlCodegen.js";
+import { settingsScope } from "../../stdlib/settings.ts";
+
+/**
+ * Define settings, stored in `chrome.storage.sync` with their defaults applied when the extension is installed
+ *
+ * Scripts read and change them with `settings.get/set/watch` from `browserrc/stdlib`, or with
+ * `getSetting`, `setSetting` and `watchSetting` in CodeFiles using `settingsScope` (added to the
+ * background script).
+ *
+ * @param {Record<string, import("./settingsSchema.js").SettingDefinition>} schema - Settings by key
+ * @throws {Error} If a definition is invalid or its key is already defined
+ */
+function define(schema) {
+    const firstDefinition = Object.keys(settingsSchema()).length === 0;
+    defineSettings(schema);
+    if (firstDefinition) {
+        background.code
+            .apply(settingsScope)
+            .addLine('chrome.runtime.onInstalled.addListener(() => applySettingDefaults());');
+    }
+}
+
+/**
+ * Generate an options page with a control for each setting, changes are stored as they are made
+ *
+ * @param {{ title?: string }} [options] - The page title, 'Settings' by default
+ * @returns {Promise<import("../codegen/html/htmlCodegen.js").HTMLCodeFile>} The page, for `manifest.options`
+ * @throws {Error} If no settings are defined yet
+ */
+function optionsPage({ title } = {}) {
+    const schema = settingsSchema();
+    if (Object.keys(schema).length === 0) {
+        throw new Error('settings.optionsPage() needs settings, call settings.define() first');
+    }
+    const directory = PAGE_DIRECTORIES.options;
+    const script = new CodeFile({ relPath: `${directory}/settings.js` })
+        .apply(settingsScope)
+        .addLine('bindSettingsForm(document.getElementById("settings"));');
+
+    onBuild.register(async (buildContext) => {
+        await writeCodeFile(script, buildContext, targetPlatforms(buildContext.platforms));
+    });
+    return html(path.posix.join(directory, `${directory}.html`), settingsPageHTML(schema, { title, script: 'settings.js' }));
+}
+
+// public API, imported in the browserrc file as `import { settings } from 'browserrc'`
+export default {
+    define,
+    optionsPage,
+
+    /**
+     * The defined settings
+     * @returns {Record<string, import("./settingsSchema.js").SettingDefinition>}
+     */
+    get schema() {
+        return settingsSchema();
+    },
+};
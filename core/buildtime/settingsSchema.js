@@ -0,0 +1,208 @@
+// Settings declared in the rc file: a schema of typed keys with defaults, stored at runtime in
+// `chrome.storage.sync`. The defaults are defined in every bundled script for the runtime helpers
+// of `browserrc/stdlib`, and the schema is rendered into the generated options page.
+
+import { onReset } from './lifecycle.js';
+
+/**
+ * @typedef {Object} SettingDefinition
+ * @property {'boolean' | 'string' | 'number' | 'list'} type - `list` is a list of strings, edited one per line
+ * @property {any} default - The value until the user changes it, applied when the extension is installed
+ * @property {string} [label] - Shown in the generated options page, defaults to the key
+ * @property {string} [description] - Shown below the label
+ * @property {string[]} [choices] - The allowed values of a string setting, rendered as a select
+ */
+
+/**
+ * Identifier the defaults are defined as in bundled scripts
+ */
+export const SETTINGS_DEFAULTS_DEFINE = 'BROWSERRC_SETTINGS_DEFAULTS';
+
+const TYPES = ['boolean', 'string', 'number', 'list'];
+const DEFINITION_KEYS = ['type', 'default', 'label', 'description', 'choices'];
+
+/** @type {Map<string, SettingDefinition>} */
+const SETTINGS = new Map();
+
+onReset.register(() => {
+    SETTINGS.clear();
+});
+
+/**
+ * Whether a value has the type of a setting
+ * @param {SettingDefinition['type']} type
+ * @param {any} value
+ * @returns {boolean}
+ */
+function hasType(type, value) {
+    switch (type) {
+        case 'boolean': return typeof value === 'boolean';
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'list': return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+    return false;
+}
+
+/**
+ * Validate a setting definition, throwing an error that names the offending field
+ * @param {string} key
+ * @param {SettingDefinition} definition
+ * @throws {Error}
+ */
+export function validateSetting(key, definition) {
+    const fail = (message) => {
+        throw new Error(`Invalid setting '${key}': ${message}`);
+    };
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        fail('keys must be identifiers (letters, digits and _)');
+    }
+    if (!definition || typeof definition !== 'object') {
+        fail('the definition must be an object with type and default');
+    }
+    for (const field of Object.keys(definition)) {
+        if (!DEFINITION_KEYS.includes(field)) {
+            fail(`unknown field ${field}, expected one of ${DEFINITION_KEYS.join(', ')}`);
+        }
+    }
+    if (!TYPES.includes(definition.type)) {
+        fail(`type must be one of ${TYPES.join(', ')}, got ${definition.type}`);
+    }
+    if (!hasType(definition.type, definition.default)) {
+        fail(`default must be a ${definition.type === 'list' ? 'list of strings' : definition.type}, got ${JSON.stringify(definition.default)}`);
+    }
+    if (definition.choices !== undefined) {
+        if (definition.type !== 'string') {
+            fail('choices are only supported by string settings');
+        }
+        if (!hasType('list', definition.choices) || definition.choices.length === 0) {
+            fail('choices must be a non-empty list of strings');
+        }
+        if (!definition.choices.includes(definition.default)) {
+            fail(`default '${definition.default}' is not one of the choices`);
+        }
+    }
+}
+
+/**
+ * Validate and add settings
+ * @param {Record<string, SettingDefinition>} schema
+ * @throws {Error} If a definition is invalid or its key is already defined
+ */
+export function defineSettings(schema) {
+    const entries = Object.entries(schema);
+    for (const [key, definition] of entries) {
+        validateSetting(key, definition);
+        if (SETTINGS.has(key)) {
+            throw new Error(`Invalid setting '${key}': already defined`);
+        }
+    }
+    for (const [key, definition] of entries) {
+        SETTINGS.set(key, definition);
+    }
+}
+
+/**
+ * The defined settings
+ * @returns {Record<string, SettingDefinition>}
+ */
+export function settingsSchema() {
+    return Object.fromEntries(SETTINGS);
+}
+
+/**
+ * The default value of every setting
+ * @returns {Record<string, any>}
+ */
+export function settingDefaults() {
+    return Object.fromEntries(Array.from(SETTINGS, ([key, definition]) => [key, definition.default]));
+}
+
+/**
+ * The Bun `define` replacements giving bundled scripts the defaults, none without settings
+ * @returns {Record<string, string>}
+ */
+export function settingsDefines() {
+    return SETTINGS.size > 0 ? { [SETTINGS_DEFAULTS_DEFINE]: JSON.stringify(settingDefaults()) } : {};
+}
+
+/**
+ * The manifest permissions the settings need
+ * @returns {string[]}
+ */
+export function settingsPermissions() {
+    return SETTINGS.size > 0 ? ['storage'] : [];
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The form control of a setting, named after its key and filled in by the page script
+ * @param {string} key
+ * @param {SettingDefinition} definition
+ * @returns {string}
+ */
+function settingControl(key, definition) {
+    const id = `setting-${key}`;
+    switch (definition.type) {
+        case 'boolean':
+            return `<input type="checkbox" id="${id}" name="${key}">`;
+        case 'number':
+            return `<input type="number" id="${id}" name="${key}" step="any">`;
+        case 'list':
+            return `<textarea id="${id}" name="${key}" rows="4" placeholder="One per line"></textarea>`;
+    }
+    if (definition.choices) {
+        const options = definition.choices.map(choice => `<option value="${escapeHTML(choice)}">${escapeHTML(choice)}</option>`);
+        return `<select id="${id}" name="${key}">${options.join('')}</select>`;
+    }
+    return `<input type="text" id="${id}" name="${key}">`;
+}
+
+/**
+ * Render the options page of the settings
+ * @param {Record<string, SettingDefinition>} schema
+ * @param {{ title?: string, script?: string }} [options] - The page title and the src of the script binding the form
+ * @returns {string} The HTML document
+ */
+export function settingsPageHTML(schema, { title = 'Settings', script = 'settings.js' } = {}) {
+    const fields = Object.entries(schema).map(([key, definition]) => {
+        const description = definition.description
+            ? `\n      <small id="setting-${key}-description">${escapeHTML(definition.description)}</small>`
+            : '';
+        return `    <p>
+      <label for="setting-${key}">${escapeHTML(definition.label ?? key)}</label>
+      ${settingControl(key, definition)}${description}
+    </p>`;
+    });
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 1rem; min-width: 20rem; }
+    p { display: grid; gap: 0.25rem; margin: 0 0 1rem; }
+    small { color: GrayText; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(title)}</h1>
+  <form id="settings">
+${fields.join('\n')}
+  </form>
+  <script src="${escapeHTML(script)}"></script>
+</body>
+</html>
+`;
+}
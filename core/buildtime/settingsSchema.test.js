@@ -0,0 +1,80 @@
+/**
+ * Unit tests for buildtime/settingsSchema.js
+ *
+ * Run with: node --test core/buildtime/settingsSchema.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  defineSettings, settingDefaults, settingsDefines, settingsPageHTML, settingsPermissions, settingsSchema, validateSetting,
+} from './settingsSchema.js';
+import { resolveDefines } from './bundle.js';
+import { onReset } from './lifecycle.js';
+
+const schema = {
+  enabled: { type: 'boolean', default: true, label: 'Enabled' },
+  theme: { type: 'string', default: 'system', choices: ['system', 'light', 'dark'] },
+  allowlist: { type: 'list', default: ['https://example.com/*'], label: 'Sites', description: 'One <pattern> per line' },
+};
+
+afterEach(() => {
+  onReset.trigger();
+});
+
+describe('validateSetting', () => {
+  test('accepts valid definitions', () => {
+    for (const [key, definition] of Object.entries(schema)) {
+      validateSetting(key, definition);
+    }
+    validateSetting('interval', { type: 'number', default: 5 });
+  });
+
+  test('rejects invalid definitions', () => {
+    assert.throws(() => validateSetting('dark-mode', { type: 'boolean', default: false }), /Invalid setting 'dark-mode': keys must be identifiers/);
+    assert.throws(() => validateSetting('a', { type: 'date', default: 0 }), /type must be one of boolean, string, number, list/);
+    assert.throws(() => validateSetting('a', { type: 'number', default: '5' }), /default must be a number, got "5"/);
+    assert.throws(() => validateSetting('a', { type: 'list', default: [1] }), /default must be a list of strings/);
+    assert.throws(() => validateSetting('a', { type: 'boolean', default: true, hint: 'x' }), /unknown field hint/);
+    assert.throws(() => validateSetting('a', { type: 'number', default: 1, choices: ['1'] }), /choices are only supported by string settings/);
+    assert.throws(() => validateSetting('a', { type: 'string', default: 'x', choices: ['y'] }), /default 'x' is not one of the choices/);
+  });
+});
+
+describe('defineSettings', () => {
+  test('collects settings across calls and rejects keys defined twice', () => {
+    defineSettings(schema);
+    defineSettings({ interval: { type: 'number', default: 5 } });
+    assert.deepStrictEqual(Object.keys(settingsSchema()), ['enabled', 'theme', 'allowlist', 'interval']);
+    assert.deepStrictEqual(settingDefaults(), { enabled: true, theme: 'system', allowlist: ['https://example.com/*'], interval: 5 });
+    assert.throws(() => defineSettings({ theme: { type: 'string', default: 'dark' } }), /Invalid setting 'theme': already defined/);
+  });
+
+  test('adds nothing from a schema with an invalid setting', () => {
+    assert.throws(() => defineSettings({ enabled: { type: 'boolean', default: true }, theme: { type: 'string' } }));
+    assert.deepStrictEqual(settingsSchema(), {});
+  });
+});
+
+describe('build integration', () => {
+  test('defines the defaults in bundled scripts and needs storage', () => {
+    assert.deepStrictEqual(settingsDefines(), {});
+    assert.deepStrictEqual(settingsPermissions(), []);
+    defineSettings(schema);
+    assert.deepStrictEqual(settingsPermissions(), ['storage']);
+    const define = resolveDefines({}, 'chrome', 'production');
+    assert.deepStrictEqual(JSON.parse(define.BROWSERRC_SETTINGS_DEFAULTS), settingDefaults());
+  });
+});
+
+describe('settingsPageHTML', () => {
+  test('renders a control named after each key', () => {
+    const page = settingsPageHTML(schema, { title: 'Tab <Tools>' });
+    assert.match(page, /<title>Tab &lt;Tools&gt;<\/title>/);
+    assert.match(page, /<label for="setting-enabled">Enabled<\/label>\s*<input type="checkbox" id="setting-enabled" name="enabled">/);
+    assert.match(page, /<label for="setting-theme">theme<\/label>\s*<select id="setting-theme" name="theme"><option value="system">system<\/option>/);
+    assert.match(page, /<textarea id="setting-allowlist" name="allowlist"/);
+    assert.match(page, /<small id="setting-allowlist-description">One &lt;pattern&gt; per line<\/small>/);
+    assert.match(page, /<script src="settings.js"><\/script>/);
+  });
+});
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { build, resetBuildState } from './index.js';
+import { listAssetSources } from './assets.js';
+import { removeStaleOutputs } from './output.js';
+
+const FRAMEWORK_ROOT = path.resolve(__dirname, '..', '..');
+
+// Framework modules hold the singletons the rc file writes into, they must never be re-evaluated
+const FRAMEWORK_PATHS = ['core', 'helpers', 'stdlib', 'index.js', 'jsx-runtime.js']
+    .map(entry => path.join(FRAMEWORK_ROOT, entry));
+
+const TRANSPILER_LOADERS = {
+    '.js': 'js',
+    '.mjs': 'js',
+    '.cjs': 'js',
+    '.jsx': 'jsx',
+    '.ts': 'ts',
+    '.mts': 'ts',
+    '.tsx': 'tsx',
+};
+
+// Delay between the first file change and the rebuild, so that saving several files triggers one build
+const REBUILD_DELAY = 50;
+
+/**
+ * Whether a resolved module belongs to the user's project (and should be watched and re-evaluated)
+ * @param {string} filePath - Absolute path of the module
+ * @returns {boolean}
+ */
+function isProjectFile(filePath) {
+    if (filePath.split(path.sep).includes('node_modules')) {
+        return false;
+    }
+    return !FRAMEWORK_PATHS.some(frameworkPath => filePath === frameworkPath || filePath.startsWith(frameworkPath + path.sep));
+}
+
+/**
+ * List the import specifiers of a source file
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string[]}
+ */
+function scanSpecifiers(filePath) {
+    const extension = path.extname(filePath);
+    const source = fs.readFileSync(filePath, 'utf8');
+
+    if (TRANSPILER_LOADERS[extension]) {
+        try {
+            const transpiler = new Bun.Transpiler({ loader: TRANSPILER_LOADERS[extension] });
+            return transpiler.scanImports(source).map(entry => entry.path);
+        } catch {
+            // syntax errors are reported by the build itself, keep watching the file until it is fixed
+            return [];
+        }
+    }
+
+    if (extension === '.html') {
+        // scripts and stylesheets of HTML imports (e.g. the popup)
+        return Array.from(source.matchAll(/\s(?:src|href)=["']([^"':]+)["']/g), match => match[1]);
+    }
+
+    return [];
+}
+
+/**
+ * Collect the rc file and every project file it (transitively) imports
+ * @param {string} entry - Path of the rc file
+ * @returns {Set<string>} Absolute paths
+ */
+export function collectDependencies(entry) {
+    const files = new Set();
+    const pending = [path.resolve(entry)];
+
+    while (pending.length > 0) {
+        const filePath = pending.pop();
+        if (files.has(filePath) || !fs.existsSync(filePath)) {
+            continue;
+        }
+        files.add(filePath);
+
+        for (const specifier of scanSpecifiers(filePath)) {
+            let resolvedPath;
+            try {
+                resolvedPath = Bun.resolveSync(specifier, path.dirname(filePath));
+            } catch {
+                continue;
+            }
+            if (path.isAbsolute(resolvedPath) && isProjectFile(resolvedPath)) {
+                pending.push(resolvedPath);
+            }
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Build the extension, then rebuild whenever the rc file or one of the files it imports changes.
+ *
+ * Every rebuild resets the framework state and re-evaluates the project modules, outputs whose
+ * content did not change are left untouched and outputs that are no longer produced are removed.
+ *
+ * @param {import('./index.js').BuildOptions} options - The build options, `rcpath` is required
+ * @param {object} [callbacks={}]
+ * @param {(report: import('./index.js').BuildReport, changedFiles: string[]) => void} [callbacks.onRebuild] - Called after each successful build
+ * @param {(error: unknown) => void} [callbacks.onError] - Called when a build fails, watching continues
+ * @returns {Promise<{ close: () => void }>} Resolves after the first build
+ */
+export async function watch(options, { onRebuild = () => {}, onError = () => {} } = {}) {
+    if (!options.rcpath) {
+        throw new Error('Watch mode requires an rc file (options.rcpath)');
+    }
+    const rcpath = path.resolve(options.rcpath);
+
+    /** @type {fs.FSWatcher[]} */
+    let watchers = [];
+    let previousOutputs = new Set();
+    let changedFiles = new Set();
+    let timer = null;
+    let running = null;
+    let closed = false;
+
+    const scheduleRebuild = (filePath) => {
+        changedFiles.add(filePath);
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            // never run two builds at once, the framework state is shared
+            await running;
+            if (!closed) {
+                running = rebuild();
+            }
+        }, REBUILD_DELAY);
+    };
+
+    const watchFiles = (files) => {
+        // watchers are recreated after every build, editors that save by renaming replace the watched inode
+        watchers.forEach(watcher => watcher.close());
+        watchers = [];
+        for (const filePath of files) {
+            try {
+                watchers.push(fs.watch(filePath, () => scheduleRebuild(filePath)));
+            } catch (error) {
+                console.debug(`[watch] cannot watch ${filePath}:`, error.message);
+            }
+        }
+    };
+
+    const rebuild = async () => {
+        const trigger = Array.from(changedFiles);
+        changedFiles = new Set();
+
+        const dependencies = collectDependencies(rcpath);
+        resetBuildState();
+        for (const filePath of dependencies) {
+            delete require.cache[filePath];
+        }
+
+        try {
+            const report = await build({ ...options, rcpath });
+
+            previousOutputs = removeStaleOutputs(previousOutputs, report);
+
+            onRebuild(report, trigger);
+        } catch (error) {
+            onError(error);
+        } finally {
+            if (!closed) {
+                // copied assets are no modules, watch them too
+                watchFiles([...dependencies, ...listAssetSources()]);
+            }
+        }
+    };
+
+    running = rebuild();
+    await running;
+
+    return {
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            watchers = [];
+        },
+    };
+}
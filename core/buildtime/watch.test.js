@@ -0,0 +1,85 @@
+/**
+ * Tests for buildtime/watch.js, they resolve imports and build an extension and need Bun
+ *
+ * Run with: bun test ./core/buildtime/watch.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { collectDependencies } from './watch.js';
+import { build, resetBuildState } from './index.js';
+import { manifest } from './manifest.ts';
+import background from './background.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'browserrc-watch-'));
+});
+
+afterEach(() => {
+  resetBuildState();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const writeFiles = (files) => {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+};
+
+describe('collectDependencies', () => {
+  test('follows the project imports of the rc file', () => {
+    writeFiles({
+      'browserrc.js': [
+        "import fs from 'fs';",
+        "import { manifest } from 'browserrc';",
+        "import { shortcuts } from './lib/shortcuts.js';",
+        "import popup from './popup/popup.html';",
+        "import './missing.js';",
+      ].join('\n'),
+      'lib/shortcuts.js': "import { keys } from './keys.ts';\nexport const shortcuts = keys;",
+      'lib/keys.ts': "import { shortcuts } from './shortcuts.js';\nexport const keys: string[] = [];",
+      'popup/popup.html': '<link rel="stylesheet" href="./popup.css"><script src="./popup.js"></script>',
+      'popup/popup.js': 'console.log("popup");',
+      'popup/popup.css': 'body {}',
+      'node_modules/browserrc/package.json': '{ "name": "browserrc", "main": "index.js" }',
+      'node_modules/browserrc/index.js': 'export const manifest = {};',
+      'unused.js': '',
+    });
+
+    const expected = ['browserrc.js', 'lib/shortcuts.js', 'lib/keys.ts', 'popup/popup.html', 'popup/popup.js', 'popup/popup.css']
+      .map(name => fs.realpathSync(path.join(dir, name)));
+    const dependencies = Array.from(collectDependencies(path.join(fs.realpathSync(dir), 'browserrc.js')));
+    assert.deepStrictEqual(dependencies.sort(), expected.sort());
+  });
+});
+
+describe('resetBuildState', () => {
+  const defineExtension = () => {
+    manifest.name = 'Watched';
+    background.code.addLine('console.log("started");');
+  };
+
+  test('lets build() run again without duplicating state', async () => {
+    const outputDir = path.join(dir, 'dist');
+
+    defineExtension();
+    const first = await build({ outputDir, platforms: { chrome: true }, mode: 'development' });
+    resetBuildState();
+    defineExtension();
+    const second = await build({ outputDir, platforms: { chrome: true }, mode: 'development' });
+
+    assert.ok(first.platforms.chrome.files.every(file => file.changed));
+    assert.deepStrictEqual(
+      second.platforms.chrome.files.map(file => [file.path, file.changed]),
+      first.platforms.chrome.files.map(file => [file.path, false]),
+    );
+    const code = fs.readFileSync(path.join(outputDir, 'chrome', 'background.js'), 'utf8');
+    assert.strictEqual(code.split('console.log("started")').length - 1, 1);
+  });
+});
@@ -0,0 +1,188 @@
+import { parseArgs } from 'util';
+import { DEFAULT_LIVE_RELOAD_PORT } from '../buildtime/liveReload.js';
+import { BUILD_MODES } from '../buildtime/bundle.js';
+
+/**
+ * Error thrown when the command line cannot be parsed.
+ *
+ * The CLI prints the message together with the usage text and exits with code 2,
+ * as opposed to build failures which exit with code 1.
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+export const COMMANDS = ['build', 'dev', 'init', 'help'];
+
+export const DEFAULT_OUTPUT_DIR = 'dist';
+
+export const USAGE = `Usage: browserrc <command> [options]
+
+Commands:
+  build [rcfile]    Build the extension once
+  dev [rcfile]      Build for development, rebuild on changes and reload the extension
+  init [dir]        Create a starter browserrc.js in dir (default: current directory)
+  help              Show this message
+
+Build options:
+  --chrome          Build for Chrome
+  --firefox         Build for Firefox
+  --platform        Build for a platform registered in the rc file, can be repeated
+                    (every registered platform is built when none is given)
+  -o, --outDir      Output directory (default: ${DEFAULT_OUTPUT_DIR})
+  --package         Package each platform into an archive (chrome.zip, firefox.xpi)
+  --name-from-manifest
+                    Name archives <name>-<version>-<platform> from the manifest
+  -w, --watch       Rebuild when the rc file or a file it imports changes (always on for dev)
+  --mode            development or production (default: production for build, development for dev)
+  --define          Replace an identifier in every script, e.g. --define __VERSION__='"1.0"',
+                    can be repeated (values that are not JSON are used as strings)
+  --strict          Fail the build when a manifest does not validate
+  --infer-permissions
+                    Add the permissions of the extension APIs the scripts use to the manifest
+  --verbose         Print debug output from the build
+  --port            Live reload server port for dev, not used in production mode (default: ${DEFAULT_LIVE_RELOAD_PORT})
+
+Init options:
+  --force           Overwrite an existing rc file
+
+Global options:
+  -h, --help        Show this message
+  -v, --version     Print the browserrc version`;
+
+const OPTIONS = {
+    chrome: { type: 'boolean' },
+    firefox: { type: 'boolean' },
+    platform: { type: 'string', multiple: true },
+    outDir: { type: 'string', short: 'o' },
+    package: { type: 'boolean' },
+    'name-from-manifest': { type: 'boolean' },
+    watch: { type: 'boolean', short: 'w' },
+    mode: { type: 'string' },
+    define: { type: 'string', multiple: true },
+    strict: { type: 'boolean' },
+    'infer-permissions': { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    port: { type: 'string' },
+    force: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean', short: 'v' },
+};
+
+/**
+ * @typedef {Object} ParsedCommandLine
+ * @property {'build' | 'dev' | 'init' | 'help' | 'version'} command
+ * @property {string | undefined} target - The rc file (build, dev) or directory (init) argument
+ * @property {Record<string, true> | undefined} platforms - Selected platforms, undefined (every registered platform) if no flag was given
+ * @property {string} outputDir
+ * @property {false | { nameFromManifest: boolean }} package - Whether and how to package the build into archives
+ * @property {boolean} watch - Whether to rebuild on changes
+ * @property {'development' | 'production'} mode - The build mode
+ * @property {Record<string, any> | undefined} defines - Values of the --define options
+ * @property {number | undefined} liveReloadPort - Port of the live reload server, only set for dev in development mode
+ * @property {boolean} strict - Fail on manifest validation issues
+ * @property {boolean} inferPermissions - Add the permissions the scripts use to the manifest
+ * @property {boolean} verbose
+ * @property {boolean} force
+ */
+
+/**
+ * Parse `--define NAME=VALUE` options, values are JSON with a fallback to plain strings
+ * @param {string[]} definitions
+ * @returns {Record<string, any> | undefined}
+ * @throws {UsageError} If a definition has no name
+ */
+function parseDefines(definitions) {
+    if (definitions.length === 0) {
+        return undefined;
+    }
+    const defines = {};
+    for (const definition of definitions) {
+        const separator = definition.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError(`Invalid --define '${definition}', expected NAME=VALUE`);
+        }
+        const value = definition.slice(separator + 1);
+        try {
+            defines[definition.slice(0, separator)] = JSON.parse(value);
+        } catch {
+            defines[definition.slice(0, separator)] = value;
+        }
+    }
+    return defines;
+}
+
+/**
+ * Parse the browserrc command line
+ * @param {string[]} argv - The arguments after the executable, i.e. `process.argv.slice(2)`
+ * @returns {ParsedCommandLine}
+ * @throws {UsageError} If the command or an option is unknown
+ */
+export function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    let command = positionals[0];
+    if (values.version) {
+        command = 'version';
+    } else if (values.help || command === undefined) {
+        command = 'help';
+    } else if (!COMMANDS.includes(command)) {
+        throw new UsageError(`Unknown command '${command}'`);
+    }
+
+    if (positionals.length > 2) {
+        throw new UsageError(`Unexpected argument '${positionals[2]}'`);
+    }
+
+    const platforms = {};
+    if (values.chrome) platforms.chrome = true;
+    if (values.firefox) platforms.firefox = true;
+    for (const platform of values.platform || []) {
+        platforms[platform] = true;
+    }
+
+    const mode = values.mode ?? (command === 'dev' ? 'development' : 'production');
+    if (!BUILD_MODES.includes(mode)) {
+        throw new UsageError(`Invalid mode '${mode}', expected ${BUILD_MODES.join(' or ')}`);
+    }
+
+    // the live reload client is never shipped in production builds
+    let liveReloadPort;
+    if (command === 'dev' && mode === 'development') {
+        liveReloadPort = values.port === undefined ? DEFAULT_LIVE_RELOAD_PORT : Number(values.port);
+        if (!Number.isInteger(liveReloadPort) || liveReloadPort < 0 || liveReloadPort > 65535) {
+            throw new UsageError(`Invalid port '${values.port}'`);
+        }
+    } else if (values.port !== undefined) {
+        throw new UsageError('--port is only supported by the dev command in development mode');
+    }
+
+    if (values['name-from-manifest'] && !values.package) {
+        throw new UsageError('--name-from-manifest requires --package');
+    }
+
+    return {
+        command,
+        target: positionals[1],
+        platforms: Object.keys(platforms).length > 0 ? platforms : undefined,
+        outputDir: values.outDir || DEFAULT_OUTPUT_DIR,
+        package: values.package ? { nameFromManifest: values['name-from-manifest'] ?? false } : false,
+        watch: command === 'dev' || (values.watch ?? false),
+        mode,
+        defines: parseDefines(values.define || []),
+        liveReloadPort,
+        strict: values.strict ?? false,
+        inferPermissions: values['infer-permissions'] ?? false,
+        verbose: values.verbose ?? false,
+        force: values.force ?? false,
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for cli/args.js
+ *
+ * Run with: node --test core/cli/args.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseCommandLine, UsageError, DEFAULT_OUTPUT_DIR } from './args.js';
+import { DEFAULT_LIVE_RELOAD_PORT } from '../buildtime/liveReload.js';
+
+describe('parseCommandLine', () => {
+  test('shows help without a command', () => {
+    assert.strictEqual(parseCommandLine([]).command, 'help');
+    assert.strictEqual(parseCommandLine(['build', '--help']).command, 'help');
+  });
+
+  test('--version takes precedence over the command', () => {
+    assert.strictEqual(parseCommandLine(['build', '-v']).command, 'version');
+  });
+
+  test('build defaults to every registered platform and the default output directory', () => {
+    const args = parseCommandLine(['build']);
+
+    assert.strictEqual(args.command, 'build');
+    assert.strictEqual(args.target, undefined);
+    assert.strictEqual(args.platforms, undefined);
+    assert.strictEqual(args.outputDir, DEFAULT_OUTPUT_DIR);
+    assert.strictEqual(args.verbose, false);
+    assert.strictEqual(args.watch, false);
+  });
+
+  test('dev always watches, build only with --watch', () => {
+    assert.strictEqual(parseCommandLine(['dev']).watch, true);
+    assert.strictEqual(parseCommandLine(['build', '-w']).watch, true);
+    assert.strictEqual(parseCommandLine(['build', '--watch']).watch, true);
+  });
+
+  test('dev enables live reload on the default port', () => {
+    assert.strictEqual(parseCommandLine(['dev']).liveReloadPort, DEFAULT_LIVE_RELOAD_PORT);
+    assert.strictEqual(parseCommandLine(['dev', '--port', '4000']).liveReloadPort, 4000);
+    assert.strictEqual(parseCommandLine(['build', '--watch']).liveReloadPort, undefined);
+  });
+
+  test('dev in production mode builds without live reload', () => {
+    assert.strictEqual(parseCommandLine(['dev', '--mode', 'production']).liveReloadPort, undefined);
+    assert.throws(() => parseCommandLine(['dev', '--mode', 'production', '--port', '4000']), /only supported by the dev command in development mode/);
+  });
+
+  test('throws UsageError for invalid ports', () => {
+    assert.throws(() => parseCommandLine(['dev', '--port', 'abc']), /Invalid port 'abc'/);
+    assert.throws(() => parseCommandLine(['build', '--port', '4000']), UsageError);
+  });
+
+  test('platform flags select platforms', () => {
+    assert.deepStrictEqual(parseCommandLine(['build', '--chrome']).platforms, { chrome: true });
+    assert.deepStrictEqual(parseCommandLine(['dev', '--firefox']).platforms, { firefox: true });
+    assert.deepStrictEqual(parseCommandLine(['build', '--chrome', '--firefox']).platforms, { chrome: true, firefox: true });
+    assert.deepStrictEqual(parseCommandLine(['build', '--platform', 'edge', '--platform', 'opera', '--chrome']).platforms, { chrome: true, edge: true, opera: true });
+  });
+
+  test('parses rc file and output directory', () => {
+    const args = parseCommandLine(['build', './browserrc.js', '--chrome', '-o', 'out']);
+
+    assert.strictEqual(args.target, './browserrc.js');
+    assert.strictEqual(args.outputDir, 'out');
+
+    assert.strictEqual(parseCommandLine(['build', '--outDir=build']).outputDir, 'build');
+  });
+
+  test('parses packaging options', () => {
+    assert.strictEqual(parseCommandLine(['build']).package, false);
+    assert.deepStrictEqual(parseCommandLine(['build', '--package']).package, { nameFromManifest: false });
+    assert.deepStrictEqual(parseCommandLine(['build', '--package', '--name-from-manifest']).package, { nameFromManifest: true });
+    assert.throws(() => parseCommandLine(['build', '--name-from-manifest']), UsageError);
+  });
+
+  test('defaults the mode per command', () => {
+    assert.strictEqual(parseCommandLine(['build']).mode, 'production');
+    assert.strictEqual(parseCommandLine(['dev']).mode, 'development');
+    assert.strictEqual(parseCommandLine(['build', '--mode', 'development']).mode, 'development');
+    assert.strictEqual(parseCommandLine(['dev', '--mode=production']).mode, 'production');
+    assert.throws(() => parseCommandLine(['build', '--mode', 'staging']), /Invalid mode 'staging'/);
+  });
+
+  test('parses --strict and --infer-permissions', () => {
+    assert.strictEqual(parseCommandLine(['build']).strict, false);
+    assert.strictEqual(parseCommandLine(['build', '--strict']).strict, true);
+    assert.strictEqual(parseCommandLine(['build']).inferPermissions, false);
+    assert.strictEqual(parseCommandLine(['dev', '--infer-permissions']).inferPermissions, true);
+  });
+
+  test('parses defines', () => {
+    assert.strictEqual(parseCommandLine(['build']).defines, undefined);
+    assert.deepStrictEqual(
+      parseCommandLine(['build', '--define', '__DEV__=false', '--define', 'API_URL=https://example.com', '--define', 'LIMITS={"max":3}']).defines,
+      { __DEV__: false, API_URL: 'https://example.com', LIMITS: { max: 3 } },
+    );
+    assert.throws(() => parseCommandLine(['build', '--define', 'missing']), /Invalid --define 'missing'/);
+  });
+
+  test('init accepts a directory and --force', () => {
+    const args = parseCommandLine(['init', 'my-extension', '--force']);
+
+    assert.strictEqual(args.command, 'init');
+    assert.strictEqual(args.target, 'my-extension');
+    assert.strictEqual(args.force, true);
+  });
+
+  test('throws UsageError for unknown commands', () => {
+    assert.throws(() => parseCommandLine(['deploy']), UsageError);
+  });
+
+  test('throws UsageError for unknown options', () => {
+    assert.throws(() => parseCommandLine(['build', '--safari']), UsageError);
+  });
+
+  test('throws UsageError for extra arguments', () => {
+    assert.throws(() => parseCommandLine(['build', 'a.js', 'b.js']), /Unexpected argument 'b.js'/);
+  });
+});
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import Handlebars from 'handlebars';
+import { build } from '../buildtime/index.js';
+import { watch } from '../buildtime/watch.js';
+import { startLiveReloadServer } from '../buildtime/liveReload.js';
+import { UsageError } from './args.js';
+
+export const RC_FILE_NAMES = ['browserrc.js', 'browserrc.ts', 'browserrc.jsx', 'browserrc.tsx'];
+
+const INIT_TEMPLATE = path.join(__dirname, '..', '..', 'resources', 'templates', 'browserrc.js.hbs');
+
+/**
+ * Format a byte count for humans
+ * @param {number} size - Size in bytes
+ * @returns {string}
+ */
+export function formatSize(size) {
+    if (size < 1024) {
+        return `${size} B`;
+    }
+    if (size < 1024 * 1024) {
+        return `${(size / 1024).toFixed(1)} kB`;
+    }
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Find the rc file to build
+ * @param {string | undefined} target - The rc file given on the command line
+ * @param {string} [cwd=process.cwd()] - Directory to search for a default rc file
+ * @returns {string} The absolute path to the rc file
+ * @throws {UsageError} If the rc file does not exist
+ */
+export function resolveRcPath(target, cwd = process.cwd()) {
+    if (target) {
+        const resolvedPath = path.resolve(cwd, target);
+        if (!fs.existsSync(resolvedPath)) {
+            throw new UsageError(`rc file '${target}' does not exist`);
+        }
+        return resolvedPath;
+    }
+
+    for (const name of RC_FILE_NAMES) {
+        const candidate = path.join(cwd, name);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    throw new UsageError(`No rc file given and none of ${RC_FILE_NAMES.join(', ')} found in ${cwd}`);
+}
+
+/**
+ * Print what the build wrote for each platform
+ * @param {import('../buildtime/index.js').BuildReport} report
+ */
+export function printBuildSummary(report) {
+    console.log(`✓ Built in ${report.duration}ms`);
+    for (const [platform, { outputDir, files }] of Object.entries(report.platforms)) {
+        const totalSize = files.reduce((total, file) => total + file.size, 0);
+        console.log(`\n  ${platform} → ${path.relative(process.cwd(), outputDir) || '.'} (${files.length} files, ${formatSize(totalSize)})`);
+        for (const file of files) {
+            console.log(`    ${file.path.padEnd(32)} ${formatSize(file.size)}`);
+        }
+    }
+    for (const archivePath of Object.values(report.archives || {})) {
+        console.log(`\n  📦 ${path.relative(process.cwd(), archivePath)} (${formatSize(fs.statSync(archivePath).size)})`);
+    }
+}
+
+/**
+ * Print the outputs a rebuild changed
+ * @param {import('../buildtime/index.js').BuildReport} report
+ * @param {string[]} changedSources - The project files whose change triggered the rebuild
+ */
+export function printRebuildSummary(report, changedSources) {
+    const trigger = changedSources.map(file => path.relative(process.cwd(), file)).join(', ');
+    const changed = Object.entries(report.platforms).flatMap(([platform, { files }]) =>
+        files.filter(file => file.changed).map(file => `${platform}/${file.path}`));
+
+    console.log(`\n✓ Rebuilt in ${report.duration}ms after changes to ${trigger}`);
+    if (changed.length === 0) {
+        console.log('  no outputs changed');
+    }
+    for (const file of changed) {
+        console.log(`    ${file}`);
+    }
+}
+
+/**
+ * Print why a build failed, including every failing onBuild listener
+ * @param {unknown} error
+ */
+export function printBuildError(error) {
+    console.error('✗ Build failed:', error?.message ?? error);
+    if (error instanceof AggregateError) {
+        for (const listenerError of error.errors) {
+            console.error('  -', listenerError?.message ?? listenerError);
+        }
+    }
+}
+
+/**
+ * Resolve once the process is asked to stop
+ * @returns {Promise<void>}
+ */
+function waitForExit() {
+    return new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+}
+
+/**
+ * `browserrc build` and `browserrc dev`
+ * @param {import('./args.js').ParsedCommandLine} args
+ * @returns {Promise<number>} The exit code
+ */
+export async function buildCommand(args) {
+    const rcpath = resolveRcPath(args.target);
+    const options = {
+        platforms: args.platforms,
+        rcpath,
+        outputDir: path.resolve(args.outputDir),
+        package: args.package,
+        mode: args.mode,
+        defines: args.defines,
+        strict: args.strict,
+        inferPermissions: args.inferPermissions,
+    };
+
+    // `build` stays quiet unless asked, `dev` always shows what the framework is doing
+    const restoreDebug = console.debug;
+    if (args.command === 'build' && !args.verbose) {
+        console.debug = () => {};
+    }
+
+    try {
+        if (!args.watch) {
+            printBuildSummary(await build(options));
+            return 0;
+        }
+
+        let liveReloadServer = null;
+        if (args.liveReloadPort !== undefined) {
+            liveReloadServer = startLiveReloadServer({ port: args.liveReloadPort });
+            options.liveReload = { port: liveReloadServer.port };
+        }
+
+        let firstBuild = true;
+        const watcher = await watch(options, {
+            onRebuild: (report, changedSources) => {
+                if (firstBuild) {
+                    printBuildSummary(report);
+                } else {
+                    printRebuildSummary(report, changedSources);
+                    if (liveReloadServer?.notify(report)) {
+                        console.log('  ↻ reloading extension');
+                    }
+                }
+                firstBuild = false;
+            },
+            onError: (error) => {
+                firstBuild = false;
+                printBuildError(error);
+            },
+        });
+        if (liveReloadServer) {
+            console.log(`\nLive reload server listening on ws://localhost:${liveReloadServer.port}`);
+        }
+        console.log('\nWatching for changes, press Ctrl+C to stop');
+
+        await waitForExit();
+        watcher.close();
+        liveReloadServer?.stop();
+        return 0;
+    } finally {
+        console.debug = restoreDebug;
+    }
+}
+
+/**
+ * `browserrc init`: write a starter rc file and add build scripts to package.json
+ * @param {import('./args.js').ParsedCommandLine} args
+ * @returns {Promise<number>} The exit code
+ */
+export async function initCommand(args) {
+    const dir = path.resolve(args.target || '.');
+    const rcpath = path.join(dir, 'browserrc.js');
+
+    if (fs.existsSync(rcpath) && !args.force) {
+        throw new UsageError(`${rcpath} already exists, use --force to overwrite it`);
+    }
+
+    const name = path.basename(dir).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'my-extension';
+    const template = Handlebars.compile(fs.readFileSync(INIT_TEMPLATE, 'utf8'));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(rcpath, template({ name }));
+    console.log(`✓ Created ${path.relative(process.cwd(), rcpath) || rcpath}`);
+
+    const packageJsonPath = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        packageJson.scripts = packageJson.scripts || {};
+        const added = [];
+        for (const [script, command] of [['build', 'browserrc build'], ['dev', 'browserrc dev']]) {
+            if (!packageJson.scripts[script]) {
+                packageJson.scripts[script] = command;
+                added.push(script);
+            }
+        }
+        if (added.length > 0) {
+            fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+            console.log(`✓ Added ${added.join(', ')} script${added.length > 1 ? 's' : ''} to package.json`);
+        }
+    }
+    return 0;
+}
@@ -0,0 +1,39 @@
+// Entrypoint for the browserrc command line
+
+import { parseCommandLine, UsageError, USAGE } from './args.js';
+import { buildCommand, initCommand, printBuildError } from './commands.js';
+import { version } from '../../index.js';
+
+/**
+ * Run the browserrc CLI
+ *
+ * Exit codes: 0 on success, 1 when the build fails, 2 on invalid usage.
+ *
+ * @param {string[]} argv - The arguments after the executable, i.e. `process.argv.slice(2)`
+ * @returns {Promise<number>} The exit code
+ */
+export async function run(argv) {
+    try {
+        const args = parseCommandLine(argv);
+        switch (args.command) {
+            case 'version':
+                console.log(version);
+                return 0;
+            case 'help':
+                console.log(USAGE);
+                return 0;
+            case 'init':
+                return await initCommand(args);
+            case 'build':
+            case 'dev':
+                return await buildCommand(args);
+        }
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`✗ ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        printBuildError(error);
+        return 1;
+    }
+}
@@ -1,6 +1,7 @@
-import fs from 'fs';
 import path from 'path';
 import { onBuild } from '../../buildtime/index.js';
+import { writeOutputFile } from '../../buildtime/output.js';
+import { targetPlatforms } from '../../buildtime/platforms.js';
 
 export class HTMLCodeFile {
     constructor({ relPath, htmlContent }) {
@@ -16,7 +17,7 @@ export class HTMLCodeFile {
     
     write(outputDir = '.') {
         const outputPath = path.join(outputDir, this.relPath)
-        fs.writeFileSync(outputPath, this.html)
+        writeOutputFile(outputPath, this.html)
     }
 }
 
@@ -44,11 +45,9 @@ export async function html(relPath, content) {
     const codeFile = new HTMLCodeFile({ relPath, htmlContent: content });
 
     onBuild.register(async ({outputDir, platforms}) => {
-        for (const platform of ['chrome', 'firefox']) {
-            if (platforms?.[platform]) {
-                const platformOutputDir = path.join(outputDir, platform);
-                codeFile.write(platformOutputDir);
-            }
+        for (const platform of targetPlatforms(platforms)) {
+            const platformOutputDir = path.join(outputDir, platform);
+            codeFile.write(platformOutputDir);
         }
     });
 
@@ -1,10 +1,25 @@
+/**
+ * @typedef {Object} HookListenerOptions
+ * @property {(error: unknown) => void} [onError] - Handle errors thrown (or rejected) by the listener
+ * @property {number} [priority=0] - Listeners with a higher priority run first, equal priorities run in registration order
+ * @property {boolean} [once=false] - Unregister the listener after it was called once
+ */
+
+/**
+ * @typedef {Object} HookOptions
+ * @property {boolean} [collectErrors=false] - Collect errors of listeners without their own onError and
+ *   throw them as an AggregateError once every listener ran, instead of ignoring them
+ */
+
 /**
  * Hook class that manages listeners and triggering
  * @template {any[]} Args
  */
 export class Hook {
-  /** @type {Array<{listener: (...args: Args) => any, onError?: (error: unknown) => void}>} */
+  /** @type {Array<{listener: (...args: Args) => any, onError?: (error: unknown) => void, priority: number, once: boolean}>} */
   #listeners = [];
+  /** @type {boolean} */
+  #collectErrors;
   /** @type {string | undefined} */
   name;
   /** @type {string} */
@@ -13,49 +28,155 @@ export class Hook {
   /**
    * @param {string} [name]
    * @param {string} description
+   * @param {HookOptions} [options]
    */
-  constructor(name, description) {
+  constructor(name, description, options = {}) {
     this.name = name;
     this.description = description;
+    this.#collectErrors = options.collectErrors ?? false;
   }
 
   /**
    * Register a listener for this hook.
    * @param {(...args: Args) => any} listener
-   * @param {{onError?: (error: unknown) => void}} [options]
+   * @param {HookListenerOptions} [options]
    * @returns {() => void} Unregister function
    */
   register(listener, options) {
-    const listenerEntry = { listener, onError: options?.onError || (() => {}) };
-    this.#listeners.push(listenerEntry);
+    const listenerEntry = {
+      listener,
+      onError: options?.onError,
+      priority: options?.priority ?? 0,
+      once: options?.once ?? false,
+    };
 
-    return () => {
-      const index = this.#listeners.indexOf(listenerEntry);
-      if (index > -1) {
-        this.#listeners.splice(index, 1);
+    // keep the list sorted by priority, after listeners of the same priority
+    const index = this.#listeners.findIndex(entry => entry.priority < listenerEntry.priority);
+    if (index === -1) {
+      this.#listeners.push(listenerEntry);
+    } else {
+      this.#listeners.splice(index, 0, listenerEntry);
+    }
+
+    return () => this.#remove(listenerEntry);
+  }
+
+  /**
+   * Register a listener that is removed after it was called once.
+   * @param {(...args: Args) => any} listener
+   * @param {Omit<HookListenerOptions, 'once'>} [options]
+   * @returns {() => void} Unregister function
+   */
+  once(listener, options) {
+    return this.register(listener, { ...options, once: true });
+  }
+
+  #remove(listenerEntry) {
+    const index = this.#listeners.indexOf(listenerEntry);
+    if (index > -1) {
+      this.#listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Take a snapshot of the listeners to call, removing once-listeners
+   */
+  #startTrigger() {
+    const entries = [...this.#listeners];
+    for (const entry of entries) {
+      if (entry.once) {
+        this.#remove(entry);
       }
-    };
+    }
+    return entries;
+  }
+
+  /**
+   * Route a listener error to its onError handler, or collect it
+   * @param {object} entry
+   * @param {unknown} error
+   * @param {unknown[]} errors - Collected errors
+   */
+  #handleError(entry, error, errors) {
+    if (entry.onError) {
+      try {
+        entry.onError(error);
+      } catch (onErrorError) {
+          // ignore
+      }
+    } else if (this.#collectErrors) {
+      errors.push(error);
+    }
+  }
+
+  /**
+   * @param {unknown[]} errors
+   */
+  #throwCollected(errors) {
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `${errors.length} ${this.name || 'hook'} listener${errors.length > 1 ? 's' : ''} failed`);
+    }
   }
 
   /**
    * Trigger all registered listeners and return their results
+   *
+   * Listeners are called synchronously, promises they return are not awaited.
+   *
    * @param {...Args} args
    * @returns {any[]}
    */
   trigger(...args) {
     const results = [];
-    for (const entry of this.#listeners) {
+    const errors = [];
+    for (const entry of this.#startTrigger()) {
       try {
         results.push(entry.listener(...args));
       } catch (error) {
-        try {
-          entry.onError(error);
-        } catch (onErrorError) {
-            // ignore
-        }
+        this.#handleError(entry, error, errors);
+        results.push(undefined);
+      }
+    }
+    this.#throwCollected(errors);
+    return results;
+  }
+
+  /**
+   * Trigger listeners one after another, waiting for each one before calling the next
+   * @param {...Args} args
+   * @returns {Promise<any[]>} The resolved results
+   */
+  async triggerAsync(...args) {
+    const results = [];
+    const errors = [];
+    for (const entry of this.#startTrigger()) {
+      try {
+        results.push(await entry.listener(...args));
+      } catch (error) {
+        this.#handleError(entry, error, errors);
         results.push(undefined);
       }
     }
+    this.#throwCollected(errors);
+    return results;
+  }
+
+  /**
+   * Trigger all listeners at once and wait for all of them to settle
+   * @param {...Args} args
+   * @returns {Promise<any[]>} The resolved results, in listener order
+   */
+  async triggerParallel(...args) {
+    const errors = [];
+    const results = await Promise.all(this.#startTrigger().map(async (entry) => {
+      try {
+        return await entry.listener(...args);
+      } catch (error) {
+        this.#handleError(entry, error, errors);
+        return undefined;
+      }
+    }));
+    this.#throwCollected(errors);
     return results;
   }
 
@@ -67,4 +188,4 @@ export class Hook {
   get count() {
     return this.#listeners.length;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for hooks.js
+ *
+ * Run with: node --test core/hooks.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Hook } from './hooks.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Hook', () => {
+  describe('trigger', () => {
+    test('calls listeners in registration order and returns results', () => {
+      const hook = new Hook('test', 'test hook');
+      hook.register((x) => x + 1);
+      hook.register((x) => x * 2);
+
+      assert.deepStrictEqual(hook.trigger(3), [4, 6]);
+    });
+
+    test('unregister removes the listener', () => {
+      const hook = new Hook('test', 'test hook');
+      const unregister = hook.register(() => 'a');
+      hook.register(() => 'b');
+      unregister();
+
+      assert.deepStrictEqual(hook.trigger(), ['b']);
+      assert.strictEqual(hook.count, 1);
+    });
+
+    test('swallows errors by default', () => {
+      const hook = new Hook('test', 'test hook');
+      hook.register(() => { throw new Error('boom'); });
+      hook.register(() => 'ok');
+
+      assert.deepStrictEqual(hook.trigger(), [undefined, 'ok']);
+    });
+
+    test('passes errors to onError', () => {
+      const hook = new Hook('test', 'test hook', { collectErrors: true });
+      const errors = [];
+      hook.register(() => { throw new Error('boom'); }, { onError: (error) => errors.push(error.message) });
+
+      assert.deepStrictEqual(hook.trigger(), [undefined]);
+      assert.deepStrictEqual(errors, ['boom']);
+    });
+
+    test('collects errors into an AggregateError after calling every listener', () => {
+      const hook = new Hook('onTest', 'test hook', { collectErrors: true });
+      const calls = [];
+      hook.register(() => { throw new Error('first'); });
+      hook.register(() => calls.push('second'));
+      hook.register(() => { throw new Error('third'); });
+
+      assert.throws(() => hook.trigger(), (error) => {
+        assert.ok(error instanceof AggregateError);
+        assert.strictEqual(error.message, '2 onTest listeners failed');
+        assert.deepStrictEqual(error.errors.map(e => e.message), ['first', 'third']);
+        return true;
+      });
+      assert.deepStrictEqual(calls, ['second']);
+    });
+  });
+
+  describe('priority', () => {
+    test('runs higher priorities first and keeps registration order otherwise', () => {
+      const hook = new Hook('test', 'test hook');
+      hook.register(() => 'a');
+      hook.register(() => 'low', { priority: -1 });
+      hook.register(() => 'high', { priority: 10 });
+      hook.register(() => 'b');
+      hook.register(() => 'high2', { priority: 10 });
+
+      assert.deepStrictEqual(hook.trigger(), ['high', 'high2', 'a', 'b', 'low']);
+    });
+  });
+
+  describe('once', () => {
+    test('once listeners are only called once', () => {
+      const hook = new Hook('test', 'test hook');
+      hook.once(() => 'once');
+      hook.register(() => 'always');
+
+      assert.deepStrictEqual(hook.trigger(), ['once', 'always']);
+      assert.deepStrictEqual(hook.trigger(), ['always']);
+      assert.strictEqual(hook.count, 1);
+    });
+
+    test('once listeners are removed before they run', async () => {
+      const hook = new Hook('test', 'test hook');
+      let calls = 0;
+      hook.once(async () => { calls++; await delay(5); });
+
+      await Promise.all([hook.triggerAsync(), hook.triggerAsync()]);
+      assert.strictEqual(calls, 1);
+    });
+  });
+
+  describe('triggerAsync', () => {
+    test('waits for each listener before calling the next', async () => {
+      const hook = new Hook('test', 'test hook');
+      const events = [];
+      hook.register(async () => { await delay(10); events.push('slow'); return 1; });
+      hook.register(() => { events.push('fast'); return 2; });
+
+      assert.deepStrictEqual(await hook.triggerAsync(), [1, 2]);
+      assert.deepStrictEqual(events, ['slow', 'fast']);
+    });
+
+    test('rejects with an AggregateError of rejected listeners', async () => {
+      const hook = new Hook('test', 'test hook', { collectErrors: true });
+      hook.register(async () => { throw new Error('async boom'); });
+      hook.register(() => 'ok');
+
+      await assert.rejects(hook.triggerAsync(), (error) => {
+        assert.ok(error instanceof AggregateError);
+        assert.deepStrictEqual(error.errors.map(e => e.message), ['async boom']);
+        return true;
+      });
+    });
+
+    test('passes rejections to onError', async () => {
+      const hook = new Hook('test', 'test hook', { collectErrors: true });
+      const errors = [];
+      hook.register(async () => { throw new Error('async boom'); }, { onError: (error) => errors.push(error.message) });
+
+      assert.deepStrictEqual(await hook.triggerAsync(), [undefined]);
+      assert.deepStrictEqual(errors, ['async boom']);
+    });
+  });
+
+  describe('triggerParallel', () => {
+    test('runs listeners concurrently and keeps result order', async () => {
+      const hook = new Hook('test', 'test hook');
+      const events = [];
+      hook.register(async () => { await delay(10); events.push('slow'); return 1; });
+      hook.register(async () => { events.push('fast'); return 2; });
+
+      assert.deepStrictEqual(await hook.triggerParallel(), [1, 2]);
+      assert.deepStrictEqual(events, ['fast', 'slow']);
+    });
+
+    test('waits for every listener before rejecting', async () => {
+      const hook = new Hook('test', 'test hook', { collectErrors: true });
+      let finished = false;
+      hook.register(async () => { throw new Error('boom'); });
+      hook.register(async () => { await delay(10); finished = true; });
+
+      await assert.rejects(hook.triggerParallel(), AggregateError);
+      assert.strictEqual(finished, true);
+    });
+  });
+});
@@ -1,9 +1,14 @@
 import { CodeFile } from "../core/buildtime/code";
 import contentScripts from "../core/buildtime/contentScripts.js";
+import { onReset } from "../core/buildtime/lifecycle.js";
 
 
 let ALL_PAGES_CONTENT_SCRIPT: CodeFile | null = null;
 
+onReset.register(() => {
+    ALL_PAGES_CONTENT_SCRIPT = null;
+});
+
 
 function getAllPagesContentScript() {
     if (ALL_PAGES_CONTENT_SCRIPT === null) {
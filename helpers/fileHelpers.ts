@@ -1,6 +1,8 @@
-import { onBuild } from "../core/buildtime";
-import { CodeFile } from "../core/buildtime/code";
 import path from "path";
+import { onBuild } from "../core/buildtime";
+import { CodeFile, CSSFile } from "../core/buildtime/code";
+import { targetPlatforms } from "../core/buildtime/platforms.js";
+import { writeCodeFile } from "../core/buildtime/bundle.js";
 
 
 export function code(relPath: string, content: string): CodeFile;
@@ -13,13 +15,26 @@ export function code(relPath: string, content: string | (() => void | string)):
     else {
         codeFile.addBlock(content);
     }
-    onBuild.register(async ({outputDir, platforms}) => {
-        for (const platform of ['chrome', 'firefox']) {
-            if (platforms?.[platform]) {
-                const platformOutputDir = path.join(outputDir, platform);
-                codeFile.write(platformOutputDir);
-            }
-        }
+    onBuild.register(async (buildContext) => {
+        await writeCodeFile(codeFile, buildContext, targetPlatforms(buildContext.platforms));
     });
     return codeFile;
-}
\ No newline at end of file
+}
+
+export function css(relPath: string, content?: string | Record<string, Record<string, string | number>>): CSSFile {
+    const cssFile = new CSSFile({ relPath });
+    if (typeof content === 'string') {
+        cssFile.addBlock(content);
+    }
+    else if (content) {
+        for (const [selector, declarations] of Object.entries(content)) {
+            cssFile.addRule(selector, declarations);
+        }
+    }
+    onBuild.register(async ({ outputDir, platforms }) => {
+        for (const platform of targetPlatforms(platforms)) {
+            cssFile.write(path.join(outputDir, platform));
+        }
+    });
+    return cssFile;
+}
@@ -1,4 +1,4 @@
 import { onAllPages } from "./codeHelpers.js";
-import { code } from "./fileHelpers.js";
+import { code, css } from "./fileHelpers.js";
 
-export { onAllPages, code };
\ No newline at end of file
+export { onAllPages, code, css };
\ No newline at end of file
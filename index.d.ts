@@ -8,6 +8,11 @@ export type JSONValue =
   | JSONValue[]
   | { [key: string]: JSONValue };
 
+declare global {
+  /** The platform a script was bundled for, replaced at build time */
+  const PLATFORM: string;
+}
+
 declare module 'browserrc' {
   /**
    * The current version of browserrc
@@ -15,6 +20,19 @@ declare module 'browserrc' {
   export const version: string;
 
 
+  export interface HookOptions {
+    /** Throw errors of listeners without their own onError as an AggregateError once every listener ran */
+    collectErrors?: boolean;
+  }
+
+  export interface HookListenerOptions {
+    onError?: (error: unknown) => void;
+    /** Listeners with a higher priority run first (default 0) */
+    priority?: number;
+    /** Unregister the listener after it was called once */
+    once?: boolean;
+  }
+
   /**
    * Hook class that manages listeners and triggering
    */
@@ -24,10 +42,16 @@ declare module 'browserrc' {
     /** @readonly */
     description: string;
 
-    constructor(name?: string, description?: string);
+    constructor(name?: string, description?: string, options?: HookOptions);
 
-    register(listener: (...args: Args) => void, options?: { onError?: (error: unknown) => void }): () => void;
-    trigger(...args: Args): void[];
+    register(listener: (...args: Args) => unknown, options?: HookListenerOptions): () => void;
+    once(listener: (...args: Args) => unknown, options?: Omit<HookListenerOptions, 'once'>): () => void;
+    /** Call listeners synchronously, returned promises are not awaited */
+    trigger(...args: Args): unknown[];
+    /** Call listeners one after another, awaiting each one */
+    triggerAsync(...args: Args): Promise<unknown[]>;
+    /** Call all listeners at once and wait for all of them to settle */
+    triggerParallel(...args: Args): Promise<unknown[]>;
     clear(): void;
 
     get count(): number;
@@ -328,6 +352,36 @@ declare module 'browserrc' {
   // can be just a handler for the icon click
   | (() => void);
 
+  /**
+   * An extension page: an HTML import (bundled with its scripts and styles), an html() file or JSX / HTML content
+   */
+  export type ExtensionPage = Bun.HTMLBundle | HTMLCodeFile | Promise<HTMLCodeFile> | JSX.Element | string;
+
+  export type OptionsConfig = {
+    page: ExtensionPage;
+    /** Open the page in a tab instead of the browser's extension settings, defaults to false */
+    openInTab?: boolean;
+  };
+
+  export type SidePanelConfig = {
+    page: ExtensionPage;
+    /** Title of the Firefox sidebar, Chrome shows the extension name */
+    title?: string;
+  };
+
+  /**
+   * A keyboard shortcut that works even when no page has focus.
+   * Keys use browserrc key notation: `C-` Ctrl, `A-`/`M-` Alt, `S-` Shift, `D-` Command and `T-` MacCtrl (macOS only).
+   */
+  export type CommandConfig = {
+    /** e.g. `<C-S-y>`, or suggested keys per operating system: `{ default: '<C-S-y>', mac: '<D-S-y>' }` */
+    key?: string | Partial<Record<'default' | 'mac' | 'windows' | 'linux' | 'chromeos', string>>;
+    /** Shown in the browser's shortcut settings, required except for `_execute_*` commands */
+    description?: string;
+    /** Added to the background script, not allowed for `_execute_*` commands */
+    onCommand?: (tab?: chrome.tabs.Tab) => void | Promise<void>;
+  };
+
   /**
    * Base properties for the extension manifest
    * These properties are common to all platforms and general to all extensions
@@ -336,8 +390,24 @@ declare module 'browserrc' {
     name?: string;
     version?: string;
     description?: string;
-    permissions: Permission[];
+    /** API permissions and host permissions (match patterns), split into `permissions` and `host_permissions` per platform */
+    permissions: ManifestPermission[];
+    /**
+     * Permissions requested at runtime, e.g. with `permissions.request()` from `browserrc/stdlib`.
+     * Split into `optional_permissions` and `optional_host_permissions` per platform.
+     */
+    optionalPermissions: ManifestPermission[];
     action?: ActionConfig;
+    /** The options page, written as `options_ui` */
+    options?: OptionsConfig | ExtensionPage;
+    /** The side panel, written as `side_panel` (Chromium, Manifest V3 only) or `sidebar_action` (Firefox) */
+    sidePanel?: SidePanelConfig | ExtensionPage;
+    /** The page loaded with the developer tools, written as `devtools_page` */
+    devtools?: ExtensionPage;
+    /** The page replacing the new tab page, written as `chrome_url_overrides.newtab` */
+    newTab?: ExtensionPage;
+    /** Keyboard commands by name, written as `commands` with each platform's `suggested_key` format */
+    commands?: Record<string, CommandConfig>;
     background?: ManifestBackground;
     readonly assign: (config: Partial<ExtendedJSONFile>) => void;
   };
@@ -348,26 +418,332 @@ declare module 'browserrc' {
   export const manifest: ManifestProperties;
 
   
-  export type BuildPlatform = 'chrome' | 'firefox';
-  export type BuildPlatforms = { chrome: true } | { firefox: true } | { chrome: true, firefox: true };
+  /**
+   * The name of a registered platform, 'chrome' and 'firefox' are built in
+   */
+  export type BuildPlatform = 'chrome' | 'firefox' | (string & {});
+  export type BuildPlatforms = Partial<Record<BuildPlatform, boolean>>;
+
+  /**
+   * Describes how the manifest and outputs of a platform look
+   */
+  export interface PlatformDefinition {
+    /** Name of the platform, also the name of its output directory */
+    name: string;
+    /**
+     * The manifest_version to emit, defaults to 3. With 2 the same rc config is translated to
+     * Manifest V2: `browser_action`, non-persistent `background.scripts`, host permissions in
+     * `permissions` and a flat `web_accessible_resources` list.
+     */
+    manifestVersion?: 2 | 3;
+    /** How the background script is declared: `background.service_worker` (default) or `background.scripts` */
+    background?: 'service_worker' | 'scripts';
+    /** The browser engine, decides which manifest keys and shortcuts the platform supports. Defaults to 'chromium' */
+    engine?: 'chromium' | 'gecko';
+    /** Emitted as the manifest `browser_specific_settings` key, e.g. the Firefox add-on id */
+    browserSpecificSettings?: Record<string, any>;
+    /** Extension of packaged archives, defaults to '.zip' */
+    archiveExtension?: string;
+  }
+
+  /**
+   * Registry of the platforms browserrc builds for
+   */
+  export const platforms: {
+    /** Register a platform (e.g. 'edge'), replacing any platform with the same name */
+    register(definition: PlatformDefinition): Required<PlatformDefinition>;
+    /** Change settings of a registered platform */
+    configure(name: BuildPlatform, overrides: Partial<PlatformDefinition>): Required<PlatformDefinition>;
+    /** Look up a registered platform, throws for unknown platforms */
+    get(name: BuildPlatform): Required<PlatformDefinition>;
+    /** Names of all registered platforms */
+    list(): BuildPlatform[];
+  };
+
+  /**
+   * A message of a locale, written to `_locales/<locale>/messages.json`
+   */
+  export interface I18nMessage {
+    /** The localized text, `$name$` refers to a placeholder */
+    message: string;
+    /** Context for translators */
+    description?: string;
+    placeholders?: Record<string, { content: string; example?: string }>;
+  }
+
+  /**
+   * Messages per locale, written to `_locales` for every platform
+   */
+  export const i18n: {
+    /** Declare (or add to) the messages of a locale, e.g. 'en' or 'pt_BR'. Strings are shorthand for `{ message }` */
+    messages(locale: string, messages: Record<string, string | I18nMessage>): void;
+    /** `__MSG_key__`, use it for manifest fields like `manifest.name` */
+    message(key: string): string;
+    /** Written as `default_locale`, the first declared locale unless set */
+    defaultLocale: string | null;
+    /** The declared locales */
+    readonly locales: string[];
+  };
+
+  export interface AssetOptions {
+    /** Directory in the platform output the files are copied to, defaults to 'assets' */
+    dir?: string;
+    /** Add a hash of the content to the file names, e.g. `logo.3f2a1b9c.png` */
+    hash?: boolean;
+    /** Declare the files in `web_accessible_resources`: true for every page, a list of match patterns, or the full options */
+    webAccessible?: boolean | string[] | { matches?: string[]; extensionIds?: string[]; useDynamicUrl?: boolean };
+    /** Directory the patterns are resolved against, defaults to the working directory */
+    cwd?: string;
+  }
+
+  export interface AssetGroup {
+    /** Output paths (relative to the platform directory) by source path, relative to the static part of the pattern */
+    readonly files: Record<string, string>;
+    /** Look up the output path of a source file, throws for unknown files */
+    path(name: string): string;
+  }
+
+  /**
+   * Copy files, directories or glob patterns (`icons/*.png`, `fonts/**`) into each platform directory.
+   * Throws if a pattern matches no files.
+   */
+  export function assets(patterns: string | string[], options?: AssetOptions): AssetGroup;
+
+  export type NetRequestResourceType = 'main_frame' | 'sub_frame' | 'stylesheet' | 'script' | 'image' | 'font' | 'object'
+    | 'xmlhttprequest' | 'ping' | 'csp_report' | 'media' | 'websocket' | 'webtransport' | 'webbundle' | 'other';
+
+  export type NetRequestHeader = { header: string; operation: 'append' | 'set' | 'remove'; value?: string };
+
+  /**
+   * A declarative net request rule, written as it is to the ruleset file
+   */
+  export interface NetRequestRule {
+    /** Unique within its ruleset, assigned in order when omitted */
+    id?: number;
+    /** Defaults to 1 */
+    priority?: number;
+    /** The ruleset the rule is written to (`rules/<ruleset>.json`), defaults to 'default' */
+    ruleset?: string;
+    action: {
+      type: 'block' | 'redirect' | 'allow' | 'upgradeScheme' | 'modifyHeaders' | 'allowAllRequests';
+      redirect?: { url?: string; extensionPath?: string; regexSubstitution?: string; transform?: Record<string, any> };
+      requestHeaders?: NetRequestHeader[];
+      responseHeaders?: NetRequestHeader[];
+    };
+    condition: {
+      urlFilter?: string;
+      regexFilter?: string;
+      isUrlFilterCaseSensitive?: boolean;
+      initiatorDomains?: string[];
+      excludedInitiatorDomains?: string[];
+      requestDomains?: string[];
+      excludedRequestDomains?: string[];
+      resourceTypes?: NetRequestResourceType[];
+      excludedResourceTypes?: NetRequestResourceType[];
+      requestMethods?: string[];
+      excludedRequestMethods?: string[];
+      domainType?: 'firstParty' | 'thirdParty';
+      tabIds?: number[];
+      excludedTabIds?: number[];
+      responseHeaders?: Record<string, any>[];
+      excludedResponseHeaders?: Record<string, any>[];
+    };
+  }
+
+  /**
+   * Static declarative net request rules, written to `rules/<ruleset>.json` with the
+   * `declarative_net_request` manifest entry and the `declarativeNetRequest` permission
+   */
+  export const netRequest: {
+    /** Validate and add a rule, returns its id. Throws for invalid rules */
+    rule(rule: NetRequestRule): number;
+    /** Configure a ruleset, disabled rulesets can be enabled at runtime with `updateEnabledRulesets` */
+    ruleset(id: string, options?: { enabled?: boolean }): void;
+    /** The rules of a ruleset with their assigned ids */
+    rules(id?: string): Array<Required<Pick<NetRequestRule, 'id' | 'priority'>> & Omit<NetRequestRule, 'ruleset'>>;
+  };
+
+  export type ContextMenuContext = 'all' | 'page' | 'frame' | 'selection' | 'link' | 'editable' | 'image' | 'video'
+    | 'audio' | 'launcher' | 'browser_action' | 'page_action' | 'action' | 'bookmark' | 'tab' | 'tools_menu' | 'password';
+
+  export interface ContextMenu {
+    /** Defaults to the title in kebab case, made unique with a number */
+    id?: string;
+    /** Required except for separators, `%s` is replaced with the selected text */
+    title?: string;
+    type?: 'normal' | 'checkbox' | 'radio' | 'separator';
+    /** Defaults to `['page']`, children default to the contexts of their parent */
+    contexts?: ContextMenuContext[];
+    /** Only show the item on pages matching these match patterns */
+    documentUrlPatterns?: string[];
+    /** Only show the item for links, images, ... matching these match patterns */
+    targetUrlPatterns?: string[];
+    checked?: boolean;
+    enabled?: boolean;
+    /** Serialized into the background script, it cannot use variables of the rc file */
+    onClick?: (info: any, tab?: any) => void;
+    /** Items of a submenu, items with children cannot have an onClick handler */
+    children?: ContextMenu[];
+  }
+
+  /**
+   * Context menus created in the background script when the extension is installed or updated,
+   * with the `contextMenus` permission
+   */
+  export const contextMenus: {
+    /** Validate and add a menu, returns the id of its top item. Throws for invalid items and taken ids */
+    add(menu: ContextMenu): string;
+  };
+
+  export interface AlarmTiming {
+    /** Repeat every this many minutes */
+    periodInMinutes?: number;
+    /** Minutes until the first run of a periodic alarm, defaults to the period */
+    delayInMinutes?: number;
+    /** Run once at this time, or first at this time when periodic */
+    when?: number | Date;
+  }
+
+  /**
+   * Run a function in the background script on a schedule with `chrome.alarms`, adding the `alarms` permission.
+   * The alarm is created on install and startup unless it exists, the handler is serialized into the
+   * background script. Throws for invalid timings and taken names.
+   */
+  export function schedule(name: string, timing: AlarmTiming, fn: (alarm: any) => void): void;
+
+  export interface SettingDefinition {
+    /** `list` is a list of strings, edited one per line in the options page */
+    type: 'boolean' | 'string' | 'number' | 'list';
+    /** The value until the user changes it, stored when the extension is installed */
+    default: boolean | string | number | string[];
+    /** Shown in the generated options page, defaults to the key */
+    label?: string;
+    /** Shown below the label */
+    description?: string;
+    /** The allowed values of a string setting, rendered as a select */
+    choices?: string[];
+  }
+
+  /**
+   * Settings stored in `chrome.storage.sync`, with the `storage` permission. Scripts read them with
+   * `settings.get/set/watch` from `browserrc/stdlib`, CodeFiles with `getSetting`, `setSetting` and
+   * `watchSetting` through `settingsScope` (applied to the background script).
+   */
+  export const settings: {
+    /** Validate and add settings by key. Throws for invalid definitions and keys defined twice */
+    define(schema: Record<string, SettingDefinition>): void;
+    /** Generate an options page editing the settings, for `manifest.options`. Throws without settings */
+    optionsPage(options?: { title?: string }): Promise<HTMLCodeFile>;
+    /** The defined settings */
+    readonly schema: Record<string, SettingDefinition>;
+  };
 
   /**
    * Build options for the build function
    */
   export interface BuildOptions {
-    platforms: BuildPlatforms;
+    /** The platforms to build for, every registered platform if omitted */
+    platforms?: BuildPlatforms;
     rcpath?: string;
     outputDir: string;
+    /**
+     * `production` (default) minifies every script, `development` keeps `{{#if isDebug}}` segments
+     * and writes external source maps next to the scripts
+     */
+    mode?: 'development' | 'production';
+    /**
+     * Identifiers (or dotted paths like `process.env.API_URL`) replaced with these values in every script
+     * and HTML bundle. `PLATFORM` is always defined as the platform the script is bundled for.
+     */
+    defines?: Record<string, JSONValue>;
+    /**
+     * Fail the build when a manifest does not validate (unknown keys, invalid match patterns,
+     * duplicate permissions, ...). Issues are printed as warnings otherwise.
+     */
+    strict?: boolean;
+    /**
+     * Add the permissions of the extension APIs the generated scripts use (`chrome.storage`, `chrome.alarms`, ...)
+     * to the manifest. Without it, used but undeclared permissions are reported as manifest issues.
+     */
+    inferPermissions?: boolean;
+    /**
+     * Package each platform into a reproducible archive (`chrome.zip`, `firefox.xpi`) in the output directory.
+     * With `nameFromManifest` archives are named `<name>-<version>-<platform>` instead.
+     */
+    package?: boolean | { nameFromManifest?: boolean };
+    /**
+     * Inject a client into the background and content scripts that reloads the extension
+     * when the live reload server on this port announces changed outputs. Development only.
+     */
+    liveReload?: { port: number };
+  }
+
+  /**
+   * A file written by the build, relative to its platform output directory
+   */
+  export interface BuildReportFile {
+    path: string;
+    size: number;
+    /** Whether the content on disk changed with this build */
+    changed: boolean;
+  }
+
+  /**
+   * Summary of what a build wrote for each platform
+   */
+  export interface BuildReport {
+    outputDir: string;
+    /** Build duration in milliseconds */
+    duration: number;
+    platforms: Partial<Record<BuildPlatform, { outputDir: string; files: BuildReportFile[] }>>;
+    /** Archive path per platform, when the build was packaged */
+    archives?: Partial<Record<BuildPlatform, string>>;
   }
 
   /**
    * Build the extension for one or more platforms
    */
-  export function build(options: BuildOptions): Promise<void>;
+  export function build(options: BuildOptions): Promise<BuildReport>;
+
+  /**
+   * Build the extension, then rebuild whenever the rc file or a file it imports changes.
+   * Framework state is reset between builds and unchanged outputs are not rewritten.
+   */
+  export function watch(
+    options: BuildOptions & { rcpath: string },
+    callbacks?: {
+      onRebuild?: (report: BuildReport, changedFiles: string[]) => void;
+      onError?: (error: unknown) => void;
+    }
+  ): Promise<{ close(): void }>;
+
+  /**
+   * Start the websocket server live reload clients connect to.
+   * Call `notify()` with each rebuild report to reload the extension and affected tabs.
+   */
+  export function startLiveReloadServer(options?: { port?: number }): {
+    port: number;
+    notify(report: BuildReport): boolean;
+    stop(): void;
+  };
 
   /**
    * Simple JSON file container for manifest files
    */
+  /**
+   * A stylesheet assembled in the rc file, e.g. for content scripts
+   */
+  export class CSSFile {
+    relPath: string;
+    css: string;
+    constructor(props: { relPath: string; css?: string });
+    /** Add a block of CSS as it is */
+    addBlock(cssBlock: string): CSSFile;
+    /** Add a rule, camelCase properties are written in kebab case */
+    addRule(selector: string, declarations: Record<string, string | number>): CSSFile;
+    write(outputDir?: string): CSSFile;
+  }
+
   export class JSONFile {
     relPath: string | null;
 
@@ -405,7 +781,16 @@ declare module 'browserrc' {
     apply(fn: (codeFile: CodeFile) => void): CodeFile;
     clearContext(): CodeFile;
     renderTemplate(additionalContext?: object): CodeFile;
+    /** Resolve `{{#if isDebug}}` / `{{#unless isDebug}}` blocks, leaving other templates untouched */
+    stripDebugSegments(isDebug: boolean): CodeFile;
+    /** Copy with different code, sharing the onPreBundle listeners */
+    derive(code: string): CodeFile;
+    /** Register a listener called with the file being bundled (possibly a derived copy) */
+    onPreBundle(fn: (codeFile: CodeFile, options: object) => void | Promise<void>): CodeFile;
+    /** Bundle the final code into a single script, `options` are passed to `Bun.build` */
     bundle(options?: object): Promise<CodeFile>;
+    /** External source map of a bundled file */
+    sourceMap: string | null;
 
     getFinalCode(): string;
     write(outputPath?: string | null, outputDir?: string): CodeFile;
@@ -416,11 +801,38 @@ declare module 'browserrc' {
    */
   export interface ContentScriptOptions {
     matches?: string[];
+    /** Match patterns of pages to leave alone */
+    exclude_matches?: string[];
+    /** Pages must also match one of these globs (`*` and `?`) */
+    include_globs?: string[];
+    /** Pages matching one of these globs are left alone */
+    exclude_globs?: string[];
+    /** Stylesheets injected before the page is rendered, paths or `css()` files */
+    css?: Array<string | CSSFile>;
     run_at?: 'document_start' | 'document_end' | 'document_idle';
     all_frames?: boolean;
+    /** Also inject into about:blank frames of matching pages */
+    match_about_blank?: boolean;
+    /**
+     * `MAIN` runs the script with the page's globals and without extension APIs. Chrome needs Manifest V3
+     * and Firefox version 128, older Firefox versions are reported unless `strict_min_version` rules them out
+     */
+    world?: 'ISOLATED' | 'MAIN';
     platforms?: BuildPlatforms;
   }
 
+  /**
+   * A content script registered by the background script with `chrome.scripting` instead of the manifest,
+   * with the `scripting` permission. The matches need host permissions, e.g. optional ones requested at runtime
+   */
+  export interface RuntimeContentScriptOptions extends Omit<ContentScriptOptions, 'matches' | 'include_globs' | 'exclude_globs' | 'match_about_blank'> {
+    register: 'runtime';
+    /** Unique id of the registration, defaults to the path without `.js` */
+    id?: string;
+    /** Match patterns, or the key of a list setting the registration follows */
+    matches?: string[] | { setting: string };
+  }
+
   /**
    * Content script utilities for creating dynamic and static content scripts
    */
@@ -430,7 +842,7 @@ declare module 'browserrc' {
      * @param relPath - The relative path to the content script file
      * @param options - Options for the content script
      */
-    dynamic(relPath: string, options?: ContentScriptOptions): CodeFile;
+    dynamic(relPath: string, options?: ContentScriptOptions | RuntimeContentScriptOptions): CodeFile;
 
     /**
      * Register a static content script in the manifest
@@ -459,16 +871,35 @@ declare module 'browserrc' {
    * Hooks namespace containing build-time hooks
    */
   export const hooks: {
+    /**
+     * Hook called once the rc file ran, before any output is written
+     */
+    onBeforeBuild: Hook<[BuildOptions]>;
     /**
      * Hook called when the browserrc plugin is built
      */
     onBuild: Hook<[BuildOptions]>;
+    /**
+     * Hook called for each platform being built, after every onBuild listener finished
+     */
+    onPlatformBuild: Hook<[platform: BuildPlatform, options: BuildOptions]>;
+    /**
+     * Hook called with the manifest of each platform right before it is written, listeners may mutate it.
+     * Platforms built as Manifest V2 receive the translated manifest.
+     */
+    onBeforeManifest: Hook<[manifest: Record<string, any>, platform: BuildPlatform]>;
+    /**
+     * Hook called with the build report once every file was written and packaged
+     */
+    onAfterBuild: Hook<[report: BuildReport, options: BuildOptions]>;
   };
   
   export function onAllPages(fn: () => void): void;
   export function code(relPath: string): CodeFile;
   export function code(relPath: string, content: string): CodeFile;
   export function code(relPath: string, content: () => void): CodeFile;
+  /** Create a stylesheet written to each platform directory, from CSS text or rules by selector */
+  export function css(relPath: string, content?: string | Record<string, Record<string, string | number>>): CSSFile;
 
   // ============================================================================
   // HTML Code Generation Types
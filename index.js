@@ -1,16 +1,25 @@
 // browserrc - A framework for making browser extensions using a single javascript file
 
-import { onBuild } from './core/buildtime/index.js';
+import { onAfterBuild, onBeforeBuild, onBeforeManifest, onBuild, onPlatformBuild } from './core/buildtime/index.js';
 
 export { TrieNode, Trie } from './core/trie.js';
 export { Hook } from './core/hooks.js';
 export { createAction } from './core/rpc.js';
 export { manifest } from './core/buildtime/manifest.ts';
 export { build } from './core/buildtime/index.js';
+export { watch } from './core/buildtime/watch.js';
+export { startLiveReloadServer } from './core/buildtime/liveReload.js';
 export { default as contentScripts } from './core/buildtime/contentScripts.js';
 export { default as background } from './core/buildtime/background.js';
-export { CodeFile, JSONFile } from './core/buildtime/code.js';
-export { onAllPages, code } from './helpers/index.ts';
+export { default as platforms } from './core/buildtime/platforms.js';
+export { default as i18n } from './core/buildtime/i18n.js';
+export { assets } from './core/buildtime/assets.js';
+export { default as netRequest } from './core/buildtime/netRequest.js';
+export { default as contextMenus } from './core/buildtime/contextMenus.js';
+export { schedule } from './core/buildtime/schedule.js';
+export { default as settings } from './core/buildtime/settings.js';
+export { CodeFile, CSSFile, JSONFile } from './core/buildtime/code.js';
+export { onAllPages, code, css } from './helpers/index.ts';
 export { HTMLCodeFile, html } from './core/codegen/html/htmlCodegen.js';
 export { jsx, jsxs, Fragment, jsxDEV } from './jsx-runtime.js';
 
@@ -18,5 +27,9 @@ export const hello = () => 'Hello from browserrc!';
 export const version = '1.0.0';
 
 export const hooks = {
-  onBuild
+  onBeforeBuild,
+  onBuild,
+  onPlatformBuild,
+  onBeforeManifest,
+  onAfterBuild
 };
\ No newline at end of file
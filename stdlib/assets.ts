@@ -0,0 +1,35 @@
+import type { CodeFile } from "../core/buildtime/code";
+
+/**
+ * Resolve the URL of a file in the extension, e.g. an output path from `assets()`
+ *
+ * Content scripts can only load files declared as web accessible (`assets(..., { webAccessible })`).
+ *
+ * @param path - Path relative to the extension root, e.g. `assets/logo.3f2a1b9c.png`
+ * @returns The `chrome-extension://` (or `moz-extension://`) URL of the file
+ */
+export function getAssetURL(path: string): string {
+    const api = (globalThis as any).browser ?? chrome;
+    return api.runtime.getURL(path.replace(/^\/+/, ''));
+}
+
+/**
+ * Fetch a file of the extension, e.g. a JSON or text asset
+ *
+ * @param path - Path relative to the extension root
+ * @returns The response, rejected if the file does not exist
+ */
+export async function fetchAsset(path: string): Promise<Response> {
+    const response = await fetch(getAssetURL(path));
+    if (!response.ok) {
+        throw new Error(`[browserrc] Could not load asset ${path}: ${response.status}`);
+    }
+    return response;
+}
+
+export function assetsScope(codeFile: CodeFile) {
+    codeFile.onPreBundle(async (file) => {
+        file.includeFunctionIfReferenced(fetchAsset)
+        file.includeFunctionIfReferenced(getAssetURL)
+    })
+}
@@ -1,5 +1,38 @@
 import { onMessage } from "./messages.ts";
+import { hasPermissions, onPermissionsChanged, requestPermissions } from "./permissions.ts";
+import { fetchAsset, getAssetURL } from "./assets.ts";
+import { getSetting, getSettings, setSetting, watchSetting } from "./settings.ts";
+import { injectFiles, injectFunction } from "./scripting.ts";
+
+export { messageScope } from "./messages.ts";
+export { permissionsScope } from "./permissions.ts";
+export { assetsScope } from "./assets.ts";
+export { settingsScope } from "./settings.ts";
+export { scriptingScope } from "./scripting.ts";
 
 export const messages = {
     onMessage
-};
\ No newline at end of file
+};
+
+export const permissions = {
+    request: requestPermissions,
+    contains: hasPermissions,
+    onChanged: onPermissionsChanged,
+};
+
+export const assets = {
+    getURL: getAssetURL,
+    fetch: fetchAsset,
+};
+
+export const settings = {
+    get: getSetting,
+    getAll: getSettings,
+    set: setSetting,
+    watch: watchSetting,
+};
+
+export const scripting = {
+    injectFunction,
+    injectFiles,
+};
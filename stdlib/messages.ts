@@ -26,7 +26,7 @@ export function onMessage<T, R>(type: string, handler: (data: T) => R) {
 }
 
 export function messageScope(codeFile: CodeFile) {
-    codeFile.onPreBundle(async () => {
-        codeFile.includeFunctionIfReferenced(onMessage)
+    codeFile.onPreBundle(async (file) => {
+        file.includeFunctionIfReferenced(onMessage)
     })
 }
@@ -0,0 +1,83 @@
+import type { CodeFile } from "../core/buildtime/code";
+
+/**
+ * Permissions to request, or check, at runtime
+ */
+export type PermissionRequest = string[] | { permissions?: string[]; origins?: string[] };
+
+/**
+ * Split a list of permission names and match patterns into a `chrome.permissions.Permissions` object
+ *
+ * @param request - Permission names and match patterns, or a `chrome.permissions.Permissions` object
+ * @returns The request with the match patterns (and `<all_urls>`) as origins
+ */
+export function toPermissions(request: PermissionRequest): { permissions?: string[]; origins?: string[] } {
+    if (!Array.isArray(request)) {
+        return request;
+    }
+    const isOrigin = (permission: string) => permission === '<all_urls>' || permission.includes('://');
+    return {
+        permissions: request.filter(permission => !isOrigin(permission)),
+        origins: request.filter(isOrigin),
+    };
+}
+
+/**
+ * Request optional permissions (declared with `manifest.optionalPermissions`).
+ *
+ * Browsers only show the prompt from a user gesture, call it directly from a click handler
+ * (e.g. in the popup or options page) without awaiting anything before it.
+ *
+ * @param request - Permission names and match patterns, or a `chrome.permissions.Permissions` object
+ * @returns Whether all of the permissions are granted
+ */
+export async function requestPermissions(request: PermissionRequest): Promise<boolean> {
+    const api = (globalThis as any).browser ?? chrome;
+    const permissions = toPermissions(request);
+    try {
+        return await api.permissions.request(permissions);
+    } catch (error) {
+        // thrown for permissions that are not declared as optional, or outside of a user gesture
+        console.error('[browserrc] Could not request permissions', permissions, error);
+        return false;
+    }
+}
+
+/**
+ * Check whether optional permissions are granted
+ *
+ * @param request - Permission names and match patterns, or a `chrome.permissions.Permissions` object
+ * @returns Whether all of the permissions are granted
+ */
+export async function hasPermissions(request: PermissionRequest): Promise<boolean> {
+    const api = (globalThis as any).browser ?? chrome;
+    const permissions = toPermissions(request);
+    return api.permissions.contains(permissions);
+}
+
+/**
+ * Call a handler whenever the user grants (or removes) optional permissions, in any extension context
+ *
+ * @param handler - Called with the granted permissions and origins, `granted` is false when they were removed
+ * @returns A function that unregisters the handler
+ */
+export function onPermissionsChanged(handler: (change: { permissions: string[]; origins: string[]; granted: boolean }) => void) {
+    const api = (globalThis as any).browser ?? chrome;
+    const onAdded = ({ permissions = [], origins = [] }) => handler({ permissions, origins, granted: true });
+    const onRemoved = ({ permissions = [], origins = [] }) => handler({ permissions, origins, granted: false });
+    api.permissions.onAdded.addListener(onAdded);
+    api.permissions.onRemoved.addListener(onRemoved);
+    return () => {
+        api.permissions.onAdded.removeListener(onAdded);
+        api.permissions.onRemoved.removeListener(onRemoved);
+    };
+}
+
+export function permissionsScope(codeFile: CodeFile) {
+    codeFile.onPreBundle(async (file) => {
+        file.includeFunctionIfReferenced(requestPermissions)
+        file.includeFunctionIfReferenced(hasPermissions)
+        file.includeFunctionIfReferenced(onPermissionsChanged)
+        file.includeFunctionIfReferenced(toPermissions)
+    })
+}
@@ -0,0 +1,89 @@
+import type { CodeFile } from "../core/buildtime/code";
+
+/**
+ * Where to inject on demand
+ */
+export type InjectionOptions = {
+    /** Every frame of the tab instead of only the top one */
+    allFrames?: boolean;
+    /** Specific frames of the tab */
+    frameIds?: number[];
+    /** `MAIN` runs functions and scripts with the page's globals */
+    world?: 'ISOLATED' | 'MAIN';
+};
+
+/**
+ * Register a content script for the session, update it if it is registered or unregister it without matches
+ *
+ * Used by the background script for `contentScripts.dynamic(..., { register: 'runtime' })`.
+ *
+ * @param script - A `chrome.scripting.RegisteredContentScript` without matches
+ * @param matches - The match patterns, an empty list unregisters the script
+ */
+export async function syncContentScript(script: Record<string, any>, matches: string[]): Promise<void> {
+    const api = (globalThis as any).browser ?? chrome;
+    try {
+        const [registered] = await api.scripting.getRegisteredContentScripts({ ids: [script.id] });
+        if (matches.length === 0) {
+            if (registered) {
+                await api.scripting.unregisterContentScripts({ ids: [script.id] });
+            }
+        } else if (registered) {
+            await api.scripting.updateContentScripts([{ ...script, matches }]);
+        } else {
+            await api.scripting.registerContentScripts([{ ...script, matches, persistAcrossSessions: false }]);
+        }
+    } catch (error) {
+        // e.g. invalid match patterns entered by the user
+        console.error(`[browserrc] Could not register content script ${script.id}`, matches, error);
+    }
+}
+
+/**
+ * Run a function in a tab and collect its results
+ *
+ * The function is serialized by the browser, it cannot use variables from the calling script. Needs the
+ * `scripting` permission and access to the tab (a host permission or `activeTab`).
+ *
+ * @param tabId - The tab to run the function in
+ * @param fn - The function, called with `args`
+ * @param args - JSON-serializable arguments
+ * @param options - Frames and world to run the function in
+ * @returns The result of each frame the function ran in
+ */
+export async function injectFunction<A extends any[], R>(tabId: number, fn: (...args: A) => R, args: A = [] as unknown as A, options: InjectionOptions = {}): Promise<Awaited<R>[]> {
+    const api = (globalThis as any).browser ?? chrome;
+    const { allFrames, frameIds, world } = options;
+    const results = await api.scripting.executeScript({
+        target: { tabId, ...(allFrames && { allFrames }), ...(frameIds && { frameIds }) },
+        func: fn,
+        args,
+        ...(world && { world }),
+    });
+    return results.map((result: { result: Awaited<R> }) => result.result);
+}
+
+/**
+ * Run script files of the extension in a tab, e.g. files written with `code()`
+ *
+ * @param tabId - The tab to run the scripts in
+ * @param files - Paths relative to the extension root, e.g. `inject/highlight.js`
+ * @param options - Frames and world to run the scripts in
+ */
+export async function injectFiles(tabId: number, files: string[], options: InjectionOptions = {}): Promise<void> {
+    const api = (globalThis as any).browser ?? chrome;
+    const { allFrames, frameIds, world } = options;
+    await api.scripting.executeScript({
+        target: { tabId, ...(allFrames && { allFrames }), ...(frameIds && { frameIds }) },
+        files,
+        ...(world && { world }),
+    });
+}
+
+export function scriptingScope(codeFile: CodeFile) {
+    codeFile.onPreBundle(async (file) => {
+        file.includeFunctionIfReferenced(syncContentScript)
+        file.includeFunctionIfReferenced(injectFunction)
+        file.includeFunctionIfReferenced(injectFiles)
+    })
+}
@@ -0,0 +1,126 @@
+import type { CodeFile } from "../core/buildtime/code";
+
+// the defaults of `settings.define()`, defined in every script browserrc bundles
+declare const BROWSERRC_SETTINGS_DEFAULTS: Record<string, any>;
+
+/**
+ * The defaults of the settings defined in the rc file
+ *
+ * @returns The default value of each setting, empty outside of browserrc bundles
+ */
+export function getSettingDefaults(): Record<string, any> {
+    return typeof BROWSERRC_SETTINGS_DEFAULTS === 'undefined' ? {} : BROWSERRC_SETTINGS_DEFAULTS;
+}
+
+/**
+ * Read a setting from `chrome.storage.sync`
+ *
+ * @param key - A key of the settings schema
+ * @returns The stored value, or the default when the user has not changed it
+ */
+export async function getSetting(key: string): Promise<any> {
+    const api = (globalThis as any).browser ?? chrome;
+    const stored = await api.storage.sync.get(key);
+    return stored[key] ?? getSettingDefaults()[key];
+}
+
+/**
+ * Read every setting from `chrome.storage.sync`
+ *
+ * @returns The value of each setting of the schema, defaults included
+ */
+export async function getSettings(): Promise<Record<string, any>> {
+    const api = (globalThis as any).browser ?? chrome;
+    const defaults = getSettingDefaults();
+    const stored = await api.storage.sync.get(Object.keys(defaults));
+    return { ...defaults, ...stored };
+}
+
+/**
+ * Store a setting in `chrome.storage.sync`, synced to the user's other browsers
+ *
+ * @param key - A key of the settings schema
+ * @param value - The new value, of the setting's type
+ */
+export async function setSetting(key: string, value: any): Promise<void> {
+    const api = (globalThis as any).browser ?? chrome;
+    if (!(key in getSettingDefaults())) {
+        throw new Error(`[browserrc] Unknown setting ${key}`);
+    }
+    await api.storage.sync.set({ [key]: value });
+}
+
+/**
+ * Call a handler whenever a setting changes, in any extension context
+ *
+ * @param key - A key of the settings schema
+ * @param handler - Called with the new and the old value, the default when the setting was removed
+ * @returns A function that unregisters the handler
+ */
+export function watchSetting(key: string, handler: (value: any, oldValue: any) => void) {
+    const api = (globalThis as any).browser ?? chrome;
+    const listener = (changes: Record<string, { newValue?: any; oldValue?: any }>, areaName: string) => {
+        if (areaName === 'sync' && key in changes) {
+            const defaultValue = getSettingDefaults()[key];
+            handler(changes[key].newValue ?? defaultValue, changes[key].oldValue ?? defaultValue);
+        }
+    };
+    api.storage.onChanged.addListener(listener);
+    return () => api.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Store the defaults of the settings the user has not set yet, called when the extension is installed or updated
+ */
+export async function applySettingDefaults(): Promise<void> {
+    const api = (globalThis as any).browser ?? chrome;
+    const defaults = getSettingDefaults();
+    const stored = await api.storage.sync.get(Object.keys(defaults));
+    const missing = Object.fromEntries(Object.entries(defaults).filter(([key]) => !(key in stored)));
+    if (Object.keys(missing).length > 0) {
+        await api.storage.sync.set(missing);
+    }
+}
+
+/**
+ * Fill the controls of a form with the settings and store every change, used by the generated options page
+ *
+ * @param form - A form whose controls are named after the setting keys
+ */
+export async function bindSettingsForm(form: HTMLFormElement): Promise<void> {
+    const values = await getSettings();
+    for (const control of Array.from(form.elements) as HTMLInputElement[]) {
+        if (!(control.name in values)) {
+            continue;
+        }
+        const value = values[control.name];
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = Array.isArray(value) ? value.join('\n') : String(value);
+        }
+        control.addEventListener('change', () => {
+            const defaultValue = getSettingDefaults()[control.name];
+            const newValue = control.type === 'checkbox'
+                ? control.checked
+                : Array.isArray(defaultValue)
+                    ? control.value.split('\n').map(line => line.trim()).filter(Boolean)
+                    : typeof defaultValue === 'number'
+                        ? Number(control.value)
+                        : control.value;
+            setSetting(control.name, newValue);
+        });
+    }
+}
+
+export function settingsScope(codeFile: CodeFile) {
+    codeFile.onPreBundle(async (file) => {
+        file.includeFunctionIfReferenced(bindSettingsForm)
+        file.includeFunctionIfReferenced(applySettingDefaults)
+        file.includeFunctionIfReferenced(watchSetting)
+        file.includeFunctionIfReferenced(setSetting)
+        file.includeFunctionIfReferenced(getSettings)
+        file.includeFunctionIfReferenced(getSetting)
+        file.includeFunctionIfReferenced(getSettingDefaults)
+    })
+}